@@ -0,0 +1,163 @@
+// bots.js
+// Server-side bot players, for filling a room or rehearsing a game night without a dozen browser tabs.
+// A bot's connection is a BotSocket: the server runs it through handleConnection like any socket, and the bot sends what
+// the player page would (PLAYER_JOIN_ROOM, PLAYER_REQUEST_TICKET, PLAYER_MARK_NUMBER, PLAYER_CLAIM_PRIZE). So bots go
+// through the same checks, approvals and claim modes as people; only payouts can tell them apart (excludeBotsFromPayouts).
+// settings: { tickets, minDelayMs, maxDelayMs, falseClaimChance }
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+const DEFAULT_BOT_SETTINGS = { tickets: 1, minDelayMs: 1000, maxDelayMs: 4000, falseClaimChance: 0 };
+
+function normalizeBotSettings(settings = {}) {
+    const pick = (key, min, max) => {
+        const value = Number(settings[key]);
+        return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : DEFAULT_BOT_SETTINGS[key];
+    };
+    const minDelayMs = pick('minDelayMs', 0, 60000);
+    return {
+        tickets: Math.round(pick('tickets', 1, 30)),
+        minDelayMs,
+        maxDelayMs: Math.max(pick('maxDelayMs', 0, 60000), minDelayMs),
+        falseClaimChance: pick('falseClaimChance', 0, 1)
+    };
+}
+
+// checkClaim(ticketId, prizeRuleId) -> true when the server would find that claim valid right now
+class BotSocket extends EventEmitter {
+    constructor(settings, checkClaim) {
+        super();
+        this.isBot = true;
+        this.readyState = WebSocket.OPEN;
+        this.settings = normalizeBotSettings(settings);
+        this.checkClaim = checkClaim;
+        this.joined = false;
+        this.tickets = [];
+        this.rules = [];
+        this.maxTickets = 0;
+        this.claimedRuleIds = new Set(); // Prizes this bot has rightly claimed this game
+        this.timers = new Set();
+    }
+
+    join(roomId, playerName, joinCode) {
+        Object.assign(this, { roomId, playerName });
+        this.sendToServer('PLAYER_JOIN_ROOM', { roomId, playerName, joinCode });
+    }
+
+    resume(resumeToken) {
+        this.sendToServer('RESUME_SESSION', { resumeToken });
+    }
+
+    // The server talking to us
+    send(data) {
+        const { type, payload = {} } = JSON.parse(data);
+        switch (type) {
+            case 'PLAYER_JOIN_SUCCESS':
+                if (!this.joined) this.emit('joined');
+                this.joined = true;
+                this.tickets = payload.tickets || [];
+                this.rules = payload.rules || [];
+                this.maxTickets = payload.maxTicketsPerPlayer || 0;
+                this.claimedRuleIds = new Set((payload.claims || []).map(c => c.prizeRuleId));
+                if (!payload.ticketRequest) this.requestTickets();
+                break;
+            case 'TICKET_APPROVED':
+                this.tickets = payload.allTickets || this.tickets;
+                break;
+            case 'TICKETS_REISSUED':
+                this.tickets = payload.tickets || [];
+                break;
+            case 'TICKET_MODE_UPDATED':
+                this.maxTickets = payload.maxTicketsPerPlayer || this.maxTickets;
+                break;
+            case 'GAME_STARTED':
+                this.rules = payload.rules || [];
+                this.claimedRuleIds.clear();
+                this.tickets.forEach(t => { t.cancelled = false; });
+                break;
+            case 'CLAIM_STATUS_UPDATE': {
+                const cancelledTicket = payload.penalty && this.tickets.find(t => t.id === payload.penalty.cancelledTicketId);
+                if (cancelledTicket) cancelledTicket.cancelled = true;
+                break;
+            }
+            case 'RULES_UPDATED':
+                this.rules = payload.rules || [];
+                break;
+            case 'NUMBER_CALLED':
+                this.later(() => this.daub(payload.number), this.reactionDelay());
+                break;
+            case 'SESSION_RESUME_FAILED':
+                this.close();
+                break;
+            case 'ERROR':
+                if (!this.joined) this.close(); // Refused at the door (room full, locked...)
+                break;
+        }
+    }
+
+    close() {
+        if (this.readyState !== WebSocket.OPEN) return;
+        this.readyState = WebSocket.CLOSED;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        setImmediate(() => this.emit('close'));
+    }
+
+    // Always on a later tick: the server may still be handling the message we're reacting to
+    sendToServer(type, payload, delayMs = 0) {
+        this.later(() => this.emit('message', JSON.stringify({ type, payload })), delayMs);
+    }
+
+    later(fn, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (this.readyState === WebSocket.OPEN) fn();
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    reactionDelay() {
+        const { minDelayMs, maxDelayMs } = this.settings;
+        return minDelayMs + Math.random() * (maxDelayMs - minDelayMs);
+    }
+
+    requestTickets() {
+        const quantity = Math.min(this.settings.tickets, this.maxTickets) - this.tickets.length;
+        if (quantity > 0) this.sendToServer('PLAYER_REQUEST_TICKET', { quantity });
+    }
+
+    // Marks the number, then claims whatever that completed; the marks reach the server first
+    daub(number) {
+        this.tickets.forEach(ticket => {
+            if (ticket.numbers.flat().includes(number)) this.sendToServer('PLAYER_MARK_NUMBER', { ticketId: ticket.id, number, marked: true });
+        });
+        this.later(() => this.claimPrizes(), 0);
+    }
+
+    claimPrizes() {
+        const tickets = this.tickets.filter(t => !t.cancelled);
+        const openRules = this.rules.filter(rule => rule.isActive && !this.claimedRuleIds.has(rule.id));
+        openRules.forEach(rule => {
+            const ticket = tickets.find(t => this.checkClaim(t.id, rule.id));
+            if (ticket) {
+                this.claimedRuleIds.add(rule.id);
+                this.claim(rule, ticket);
+            }
+        });
+        if (Math.random() >= this.settings.falseClaimChance) return;
+        // A bogey: a prize this bot hasn't claimed, on a ticket that doesn't have it
+        const bogeys = openRules.filter(rule => !this.claimedRuleIds.has(rule.id))
+            .flatMap(rule => tickets.filter(t => !this.checkClaim(t.id, rule.id)).map(ticket => ({ rule, ticket })));
+        if (bogeys.length > 0) {
+            const { rule, ticket } = bogeys[Math.floor(Math.random() * bogeys.length)];
+            this.claim(rule, ticket);
+        }
+    }
+
+    claim(rule, ticket) {
+        this.sendToServer('PLAYER_CLAIM_PRIZE', { prizeRuleId: rule.id, ticketId: ticket.id });
+    }
+}
+
+module.exports = { DEFAULT_BOT_SETTINGS, normalizeBotSettings, BotSocket };
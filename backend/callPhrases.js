@@ -0,0 +1,105 @@
+// callPhrases.js
+// What the caller says for each number. A pack has a speech language, traditional nicknames for
+// some or all of 1-90 and two templates: one for numbers with a nickname, one for plain calls.
+// Rooms pick a pack and can override single nicknames; the resulting text goes out with NUMBER_CALLED
+// so the admin, board and player pages all say the same thing.
+
+const DEFAULT_PHRASE_PACK = 'en';
+const MAX_PHRASE_LENGTH = 80;
+
+const PHRASE_PACKS = {
+    en: {
+        name: 'English - traditional calls',
+        lang: 'en-GB',
+        template: '{phrase}, number {number}',
+        plainTemplate: 'Number {number}',
+        phrases: {
+            1: "Kelly's eye", 2: 'One little duck', 3: 'Cup of tea', 4: 'Knock at the door', 5: 'Man alive',
+            6: 'Half a dozen', 7: 'Lucky seven', 8: 'Garden gate', 9: "Doctor's orders", 10: 'Uncle Ben',
+            11: 'Legs eleven', 12: 'One dozen', 13: 'Unlucky for some', 14: "Valentine's day", 15: 'Young and keen',
+            16: 'Sweet sixteen', 17: 'Dancing queen', 18: 'Coming of age', 19: 'Goodbye teens', 20: 'One score',
+            21: 'Key of the door', 22: 'Two little ducks', 23: 'Thee and me', 24: 'Two dozen', 25: 'Duck and dive',
+            26: 'Pick and mix', 27: 'Gateway to heaven', 28: 'Overweight', 29: 'Rise and shine', 30: 'Dirty Gertie',
+            31: 'Get up and run', 32: 'Buckle my shoe', 33: 'All the threes', 34: 'Ask for more', 35: 'Jump and jive',
+            36: 'Three dozen', 37: 'More than eleven', 38: 'Christmas cake', 39: 'Steps', 40: 'Naughty forty',
+            41: 'Time for fun', 42: 'Winnie the Pooh', 43: 'Down on your knees', 44: 'Droopy drawers', 45: 'Halfway there',
+            46: 'Up to tricks', 47: 'Four and seven', 48: 'Four dozen', 49: 'PC', 50: 'Half a century',
+            51: 'Tweak of the thumb', 52: 'Danny La Rue', 53: 'Stuck in the tree', 54: 'Clean the floor', 55: 'Snakes alive',
+            56: 'Was she worth it', 57: 'Heinz varieties', 58: 'Make them wait', 59: 'Brighton line', 60: 'Five dozen',
+            61: "Baker's bun", 62: 'Tickety-boo', 63: 'Tickle me', 64: 'Red raw', 65: 'Old age pension',
+            66: 'Clickety click', 67: 'Stairway to heaven', 68: 'Saving grace', 69: 'Either way up', 70: 'Three score and ten',
+            71: 'Bang on the drum', 72: 'Six dozen', 73: 'Queen bee', 74: 'Candy store', 75: 'Strive and strive',
+            76: 'Trombones', 77: 'Sunset strip', 78: "Heaven's gate", 79: 'One more time', 80: 'Eight and blank',
+            81: 'Stop and run', 82: 'Straight on through', 83: 'Time for tea', 84: 'Seven dozen', 85: 'Staying alive',
+            86: 'Between the sticks', 87: 'Torquay in Devon', 88: 'Two fat ladies', 89: 'Nearly there', 90: 'Top of the shop'
+        }
+    },
+    'en-plain': {
+        name: 'English - numbers only',
+        lang: 'en-GB',
+        template: '{phrase}, number {number}',
+        plainTemplate: 'Number {number}',
+        phrases: {}
+    },
+    hi: {
+        name: 'Hindi - housie calls',
+        lang: 'hi-IN',
+        template: '{phrase}, नंबर {number}',
+        plainTemplate: 'नंबर {number}',
+        phrases: {
+            3: 'तीन तिगाड़ा काम बिगाड़ा', 5: 'पंजा', 6: 'छक्का', 7: 'सात समंदर पार', 9: 'नौ दो ग्यारह',
+            10: 'दस का दम', 11: 'ग्यारह खिलाड़ी', 12: 'एक दर्जन', 14: 'चौदहवीं का चाँद', 15: 'पंद्रह अगस्त',
+            21: 'इक्कीस तोपों की सलामी', 24: 'दो दर्जन', 26: 'छब्बीस जनवरी', 30: 'तीस मार खाँ', 36: 'छत्तीस का आँकड़ा',
+            47: 'आज़ादी का साल', 50: 'आधा सैकड़ा', 52: 'बावन पत्ते', 56: 'छप्पन भोग', 60: 'साठा सो पाठा',
+            64: 'चौंसठ खाने', 90: 'आख़िरी नंबर'
+        }
+    },
+    es: {
+        name: 'Spanish - traditional calls',
+        lang: 'es-ES',
+        template: '{phrase}, el {number}',
+        plainTemplate: 'El {number}',
+        phrases: {
+            15: 'La niña bonita', 22: 'Los dos patitos', 33: 'La edad de Cristo', 77: 'Las banderitas', 90: 'El abuelo'
+        }
+    }
+};
+
+function getPhrasePack(packId) {
+    return PHRASE_PACKS[packId] || PHRASE_PACKS[DEFAULT_PHRASE_PACK];
+}
+
+// callPhrases: the room's { packId, overrides } where overrides maps a number to its nickname ('' = no nickname)
+function getCallPhrase(callPhrases, number) {
+    const { packId = DEFAULT_PHRASE_PACK, overrides = {} } = callPhrases || {};
+    const pack = getPhrasePack(packId);
+    const nickname = overrides[number] !== undefined ? overrides[number] : pack.phrases[number];
+    const template = nickname ? pack.template : pack.plainTemplate;
+    return {
+        text: template.replace('{phrase}', nickname || '').replace('{number}', String(number)),
+        lang: pack.lang
+    };
+}
+
+// Returns { callPhrases } ready to store, or { error }
+function normalizeCallPhrases(input) {
+    const { packId, overrides } = input || {};
+    if (!PHRASE_PACKS[packId]) return { error: `Unknown phrase pack "${packId}".` };
+    const cleaned = {};
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const number = parseInt(key, 10);
+        if (!(number >= 1 && number <= 90) || String(number) !== String(key)) return { error: `"${key}" is not a number from 1 to 90.` };
+        if (typeof value !== 'string') return { error: `The phrase for ${number} must be text.` };
+        const phrase = value.trim();
+        if (phrase.length > MAX_PHRASE_LENGTH) return { error: `The phrase for ${number} is longer than ${MAX_PHRASE_LENGTH} characters.` };
+        if (phrase !== (PHRASE_PACKS[packId].phrases[number] || '')) cleaned[number] = phrase; // Only keep real changes
+    }
+    return { callPhrases: { packId, overrides: cleaned } };
+}
+
+// Pack list for the admin's editor (defaults included so it can show and reset them)
+function listPhrasePacks() {
+    return Object.entries(PHRASE_PACKS).map(([id, pack]) => ({ id, ...pack }));
+}
+
+module.exports = { DEFAULT_PHRASE_PACK, getCallPhrase, normalizeCallPhrases, listPhrasePacks };
@@ -0,0 +1,67 @@
+// chat.js
+// In-room chat: room-wide messages, private host -> player messages and quick reactions to calls.
+// History lives on the room (so it survives reconnects and restarts), capped at CHAT_HISTORY_LIMIT.
+// room.chat = { messages: [...], mutedPlayerIds: [...], filterProfanity: true }
+
+const crypto = require('crypto');
+
+const CHAT_HISTORY_LIMIT = 200;
+const MAX_CHAT_LENGTH = 300;
+const CHAT_RATE_LIMIT = { maxMessages: 5, perSeconds: 10 }; // Per sender, reactions included
+const QUICK_REACTIONS = ['👏', '🎉', '😮', '😂', '🔥', '😭'];
+
+// Masked when the room's filter is on. Matched as whole words, case-insensitive, with common suffixes.
+const PROFANITY = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'arsehole', 'dick', 'cunt', 'wanker', 'bollocks', 'prick', 'slut', 'whore', 'crap', 'piss'];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|er|ers|ing|y|ty|head|heads)?\\b`, 'gi');
+
+function createChatState() {
+    return { messages: [], mutedPlayerIds: [], filterProfanity: true };
+}
+
+function getChatState(room) {
+    if (!room.chat) room.chat = createChatState(); // Rooms saved before chat existed
+    return room.chat;
+}
+
+function filterProfanity(text) {
+    return text.replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+// Returns { text } ready to post, or { error }
+function cleanChatText(room, rawText) {
+    const text = typeof rawText === 'string' ? rawText.replace(/\s+/g, ' ').trim() : '';
+    if (!text) return { error: 'Message is empty.' };
+    if (text.length > MAX_CHAT_LENGTH) return { error: `Messages can be at most ${MAX_CHAT_LENGTH} characters.` };
+    return { text: getChatState(room).filterProfanity ? filterProfanity(text) : text };
+}
+
+// message: { senderId, senderName, senderRole, text, toPlayerId? } - toPlayerId makes it private
+function addChatMessage(room, message) {
+    const chat = getChatState(room);
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        timestamp: new Date().toISOString(),
+        toPlayerId: null,
+        ...message
+    };
+    chat.messages.push(record);
+    if (chat.messages.length > CHAT_HISTORY_LIMIT) chat.messages.splice(0, chat.messages.length - CHAT_HISTORY_LIMIT);
+    return record;
+}
+
+// Hosts see everything; a player sees room-wide messages plus private ones sent to them
+function getChatHistoryFor(room, viewerId, isHost) {
+    return getChatState(room).messages.filter(m => !m.toPlayerId || isHost || m.toPlayerId === viewerId);
+}
+
+function isPlayerMuted(room, playerId) {
+    return getChatState(room).mutedPlayerIds.includes(playerId);
+}
+
+function setPlayerMuted(room, playerId, muted) {
+    const chat = getChatState(room);
+    chat.mutedPlayerIds = chat.mutedPlayerIds.filter(id => id !== playerId);
+    if (muted) chat.mutedPlayerIds.push(playerId);
+}
+
+module.exports = { CHAT_RATE_LIMIT, QUICK_REACTIONS, createChatState, getChatState, cleanChatText, addChatMessage, getChatHistoryFor, isPlayerMuted, setPlayerMuted };
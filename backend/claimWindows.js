@@ -0,0 +1,96 @@
+// claimWindows.js
+// Claims for a rule that became valid on the same called number form one "claim window".
+// A window closes when the next number is called: only claims made before that call (claim.callCount, the number of
+// calls when it was made) can join the tie. A later claim for the same number is refused, so a payout already
+// announced is never split again after play has moved on.
+// maxPrizes counts windows rather than individual winners, and each rule's tiePolicy decides the payout:
+//   'split'  - coinsPerPrize shared evenly (default)
+//   'full'   - everyone in the window gets coinsPerPrize
+//   'random' - one winner drawn from a recorded seed gets coinsPerPrize, the rest get 0. The draw is made once, when
+//              the window closes, and nothing is paid or announced before it.
+// Window: { id, prizeRuleId, prizeName, calledIndex, calledNumber, callCount, tiePolicy, seed, claimIds, drawn?, drawWinnerClaimId? }
+
+const crypto = require('crypto');
+const { ERROR_CODES } = require('./protocol');
+const { roundMoney } = require('./ledger');
+
+const TIE_POLICIES = ['split', 'full', 'random'];
+
+// Which window a claim belongs to and whether it may still win. Returns { ok, code, message, windowId, calledIndex }.
+// completionIndex: index into the calls at which the ticket first satisfied the rule, or -1 when the server could not
+// tell. callCount: how many numbers had been called when the claim was made.
+function findWindowSlot(room, rule, completionIndex, callCount) {
+    // A host may approve a claim the server could not validate; it then counts from the latest call when it was made
+    const calledIndex = completionIndex >= 0 ? completionIndex : callCount - 1;
+    const windowId = `${rule.id}@${calledIndex}`;
+    const winnersForThisRule = room.winners.filter(w => w.prizeRuleId === rule.id);
+    if (winnersForThisRule.some(w => w.windowId === windowId)) {
+        const claimWindow = (room.claimWindows || {})[windowId];
+        if (claimWindow && claimWindow.drawn) {
+            return { ok: false, code: ERROR_CODES.INVALID_STATE, message: `Too late: the draw for '${rule.name}' on ${claimWindow.calledNumber} has been made.`, windowId, calledIndex };
+        }
+        if (claimWindow && claimWindow.callCount !== undefined && claimWindow.callCount !== callCount) {
+            return { ok: false, code: ERROR_CODES.INVALID_STATE, message: `Too late: '${rule.name}' on ${claimWindow.calledNumber} was settled when the next number was called.`, windowId, calledIndex };
+        }
+        return { ok: true, windowId, calledIndex }; // Tie: joins the window
+    }
+    const windowsUsed = new Set(winnersForThisRule.map(w => w.windowId || w.claimId)).size;
+    if (windowsUsed >= (rule.maxPrizes || 1)) {
+        return { ok: false, code: ERROR_CODES.LIMIT_REACHED, message: `Max winners already reached for '${rule.name}'.`, windowId, calledIndex };
+    }
+    return { ok: true, windowId, calledIndex };
+}
+
+function createClaimWindow(rule, calledIndex, calledNumber, callCount) {
+    const tiePolicy = TIE_POLICIES.includes(rule.tiePolicy) ? rule.tiePolicy : 'split';
+    return {
+        id: `${rule.id}@${calledIndex}`,
+        prizeRuleId: rule.id,
+        prizeName: rule.name,
+        calledIndex,
+        calledNumber,
+        callCount, // Open to claims made before the next call
+        tiePolicy,
+        seed: tiePolicy === 'random' ? crypto.randomBytes(8).toString('hex') : null,
+        claimIds: []
+    };
+}
+
+// A random window still waiting for its draw
+function isAwaitingDraw(claimWindow) {
+    return claimWindow.tiePolicy === 'random' && !claimWindow.drawn;
+}
+
+// Deterministic for a given seed and set of claims, so the draw can be re-checked from the summary
+// claimIds: who may be drawn, all of the window by default
+function pickTieWinner(claimWindow, claimIds = claimWindow.claimIds) {
+    const ordered = [...claimIds].sort();
+    const digest = crypto.createHash('sha256').update(`${claimWindow.seed}:${ordered.join(',')}`).digest();
+    return ordered[digest.readUInt32BE(0) % ordered.length];
+}
+
+// Makes a random window's one draw; nobody can join it afterwards. paidClaimIds: the claims that may be drawn.
+function drawClaimWindow(claimWindow, paidClaimIds) {
+    claimWindow.drawWinnerClaimId = paidClaimIds.length > 0 ? pickTieWinner(claimWindow, paidClaimIds) : null;
+    claimWindow.drawn = true;
+    return claimWindow.drawWinnerClaimId;
+}
+
+// claimId -> coins for everyone in the window. paidClaimIds: the claims not excluded from payouts (bots can be).
+// A split pays whole cents; the cents left over go to the earliest paid claim so the shares add up to the prize.
+function getWindowPayouts(claimWindow, paidClaimIds, prizeValue) {
+    const payouts = {};
+    const paidInOrder = claimWindow.claimIds.filter(id => paidClaimIds.includes(id));
+    const splitShare = paidInOrder.length > 0 ? Math.floor(Math.round(prizeValue * 100) / paidInOrder.length) / 100 : 0;
+    const splitRemainder = roundMoney(prizeValue - splitShare * paidInOrder.length);
+    claimWindow.claimIds.forEach(claimId => {
+        let coins = prizeValue;
+        if (!paidInOrder.includes(claimId)) coins = 0;
+        else if (claimWindow.tiePolicy === 'split') coins = roundMoney(splitShare + (claimId === paidInOrder[0] ? splitRemainder : 0));
+        else if (claimWindow.tiePolicy === 'random') coins = claimId === claimWindow.drawWinnerClaimId ? prizeValue : 0;
+        payouts[claimId] = coins;
+    });
+    return payouts;
+}
+
+module.exports = { TIE_POLICIES, findWindowSlot, createClaimWindow, isAwaitingDraw, pickTieWinner, drawClaimWindow, getWindowPayouts };
@@ -0,0 +1,68 @@
+// drawAudit.js
+// Seeded, verifiable number draws.
+// At game start the server picks a secret seed and publishes only its SHA-256 (the commitment).
+// The whole call order is a shuffle of 1-90 driven by that seed, so once the seed is revealed
+// in the game summary anyone can check it matches the commitment and rebuild every call.
+//
+// Verify from the command line:
+//   node drawAudit.js <seed> <commitment> [comma-separated called numbers]
+
+const crypto = require('crypto');
+const { createSeededRandom } = require('./ticketGenerator');
+
+// Recorded with every draw so a verifier knows which procedure to replay
+const DRAW_ALGORITHM = 'sha256-fisher-yates-v1';
+const TOTAL_NUMBERS = 90;
+
+function createDrawSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function commitToSeed(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest('hex');
+}
+
+// Fisher-Yates over 1-90 using the same SHA-256 counter stream as ticket generation
+function buildDrawSequence(seed) {
+    const random = createSeededRandom(`draw:${seed}`);
+    const sequence = Array.from({ length: TOTAL_NUMBERS }, (_, i) => i + 1);
+    for (let i = sequence.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+    }
+    return sequence;
+}
+
+// calledNumbers must be the start of the sequence the seed produces (a game can stop early)
+function verifyDraw({ seed, commitment, calledNumbers = [] }) {
+    if (!seed || typeof seed !== 'string') return { valid: false, errors: ['A seed is required.'] };
+    const errors = [];
+    const expectedSequence = buildDrawSequence(seed);
+    const commitmentMatches = !commitment || commitToSeed(seed) === String(commitment).toLowerCase();
+    if (!commitmentMatches) errors.push('Seed does not match the published commitment.');
+
+    const mismatchAt = calledNumbers.findIndex((num, i) => Number(num) !== expectedSequence[i]);
+    if (calledNumbers.length > TOTAL_NUMBERS) errors.push(`More than ${TOTAL_NUMBERS} numbers were called.`);
+    else if (mismatchAt !== -1) errors.push(`Call ${mismatchAt + 1} was ${calledNumbers[mismatchAt]}, the seed gives ${expectedSequence[mismatchAt]}.`);
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        algorithm: DRAW_ALGORITHM,
+        commitment: commitToSeed(seed),
+        commitmentMatches,
+        mismatchAt: mismatchAt === -1 ? null : mismatchAt,
+        expectedSequence
+    };
+}
+
+module.exports = { DRAW_ALGORITHM, createDrawSeed, commitToSeed, buildDrawSequence, verifyDraw };
+
+if (require.main === module) {
+    const [seed, commitment, called] = process.argv.slice(2);
+    const calledNumbers = called ? called.split(',').map(n => parseInt(n, 10)) : [];
+    const result = verifyDraw({ seed, commitment, calledNumbers });
+    console.log(result.valid ? 'Draw verified.' : `Draw NOT verified:\n  ${result.errors.join('\n  ')}`);
+    console.log(`Sequence: ${(result.expectedSequence || []).join(', ')}`);
+    process.exitCode = result.valid ? 0 : 1;
+}
@@ -0,0 +1,33 @@
+// eventLog.js
+// Append-only, timestamped record of what happened in a room, for settling disputes after a game.
+// room.eventLog holds the events since the last game ended; when a game is archived its events move onto the game record,
+// so each game's log runs from the end of the previous game (joins, ticket sales between games) to its own end.
+// Event: { seq, at, gameNumber, type, by: { id, name, role } | { role: 'server' }, ...details }
+// Types: HOST_JOINED, PLAYER_JOINED, PLAYER_RECONNECTED, PLAYER_LEFT, PLAYER_KICKED, TICKET_ISSUED, TICKET_REVOKED,
+// RULES_UPDATED, SESSION_STARTED, GAME_SCHEDULED, GAME_SCHEDULE_CANCELLED, GAME_STARTED, NUMBER_CALLED, GAME_PAUSED, GAME_RESUMED, GAME_ENDED, CLAIM_SUBMITTED, CLAIM_APPROVED, CLAIM_REJECTED,
+// TIE_DRAWN
+
+const SERVER_ACTOR = { role: 'server' }; // Timers, grace periods, claims decided by the claim mode
+
+// Events are never edited or removed; seq keeps counting across games so gaps would show
+function appendEvent(room, event) {
+    if (!room.eventLog) room.eventLog = [];
+    room.eventSequence = (room.eventSequence || 0) + 1;
+    const record = { seq: room.eventSequence, at: new Date().toISOString(), ...event };
+    room.eventLog.push(record);
+    return record;
+}
+
+// Hands over the finished game's events and starts an empty log for the next one
+function takeGameEvents(room) {
+    const events = room.eventLog || [];
+    room.eventLog = [];
+    return events;
+}
+
+// One JSON object per line (JSON Lines), oldest first
+function eventsToJsonLines(events) {
+    return events.map(event => JSON.stringify(event)).join('\n') + (events.length > 0 ? '\n' : '');
+}
+
+module.exports = { SERVER_ACTOR, appendEvent, takeGameEvents, eventsToJsonLines };
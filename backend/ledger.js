@@ -0,0 +1,83 @@
+// ledger.js
+// Per-room wallet ledger. Every money movement for a player is one entry:
+//   ticket_purchase - negative, the room's ticket price when a ticket is issued
+//   prize           - positive when a claim is paid; a tie recomputing the payout adds the difference
+//   penalty         - negative, coins deducted for a false claim
+//   refund          - positive, a revoked ticket's purchase given back
+//   adjustment      - manual, either sign (cash paid in, payouts settled, corrections)
+// player.balance is the running total, so a negative balance is what the player still owes.
+
+const crypto = require('crypto');
+
+const LEDGER_ENTRY_TYPES = ['ticket_purchase', 'prize', 'penalty', 'refund', 'adjustment'];
+const SALES_ENTRY_TYPES = ['ticket_purchase', 'refund']; // Both feed the prize pool
+const CSV_COLUMNS = ['timestamp', 'type', 'playerName', 'playerId', 'amount', 'balanceAfter', 'gameNumber', 'ticketId', 'claimId', 'prizeName', 'note', 'by'];
+
+function roundMoney(value) {
+    return parseFloat((Number(value) || 0).toFixed(2));
+}
+
+// entry: { type, amount, ticketId?, claimId?, prizeName?, gameNumber?, note?, by? }
+function addLedgerEntry(room, player, entry) {
+    if (!LEDGER_ENTRY_TYPES.includes(entry.type)) throw new Error(`Unknown ledger entry type "${entry.type}".`);
+    if (!room.ledger) room.ledger = [];
+    const amount = roundMoney(entry.amount);
+    player.balance = roundMoney((player.balance || 0) + amount);
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        timestamp: new Date().toISOString(),
+        playerId: player.id,
+        playerName: player.name,
+        gameNumber: null,
+        note: '',
+        ...entry,
+        amount,
+        balanceAfter: player.balance
+    };
+    room.ledger.push(record);
+    return record;
+}
+
+// Ticket sales (less refunds) not yet counted towards a game's prize pool
+function getUnassignedSales(room) {
+    const sales = (room.ledger || []).filter(e => SALES_ENTRY_TYPES.includes(e.type) && e.gameNumber === null);
+    return roundMoney(-sales.reduce((sum, e) => sum + e.amount, 0));
+}
+
+// Tags the pending sales with the game they pay for and returns the resulting prize pool
+function assignSalesToGame(room, gameNumber) {
+    const pool = getUnassignedSales(room);
+    (room.ledger || []).forEach(e => {
+        if (SALES_ENTRY_TYPES.includes(e.type) && e.gameNumber === null) e.gameNumber = gameNumber;
+    });
+    return pool;
+}
+
+// Same split as the admin rules screen: an active rule gets baseWeight% of the pool, shared over its maxPrizes
+function splitPrizePool(rules, pool) {
+    rules.forEach(rule => {
+        if (!rule.isActive) {
+            rule.coinsPerPrize = 0;
+            return;
+        }
+        const maxPrizes = parseInt(rule.maxPrizes, 10) || 1;
+        rule.coinsPerPrize = roundMoney(((parseFloat(rule.baseWeight) || 0) / 100) * pool / maxPrizes);
+    });
+    return rules;
+}
+
+// Text starting with = + - @ (or a tab or carriage return) would run as a formula in a spreadsheet, so it gets a
+// leading '. Numbers are left alone; a negative amount is just a number.
+function toCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function ledgerToCsv(entries) {
+    const lines = [CSV_COLUMNS.join(',')];
+    entries.forEach(entry => lines.push(CSV_COLUMNS.map(col => toCsvField(entry[col])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { LEDGER_ENTRY_TYPES, roundMoney, addLedgerEntry, getUnassignedSales, assignSalesToGame, splitPrizePool, ledgerToCsv };
@@ -0,0 +1,45 @@
+// paperTickets.js
+// Serials and check codes for printed tickets. A paper ticket is an ordinary ticket (held by the room's walk-in seat)
+// with two extra fields: serial, which the host types in when someone shouts a claim, and checkCode, printed next to it
+// so a copied serial on a hand-made ticket doesn't pass. Both avoid look-alike characters (0/O, 1/I/L).
+// Stored without the dash; shown as ABC-DEF.
+
+const crypto = require('crypto');
+
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const SERIAL_LENGTH = 6;
+const CHECK_CODE_LENGTH = 4;
+
+function randomCode(length) {
+    let code = '';
+    for (let i = 0; i < length; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    return code;
+}
+
+// isTaken(serial) -> true when the room already has it
+function generateSerial(isTaken) {
+    let serial;
+    do serial = randomCode(SERIAL_LENGTH); while (isTaken(serial));
+    return serial;
+}
+
+function generateCheckCode() {
+    return randomCode(CHECK_CODE_LENGTH);
+}
+
+// What the host typed: any case, with or without the dash or spaces
+function normalizeCode(input) {
+    return String(input || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+function formatSerial(serial) {
+    return `${serial.slice(0, 3)}-${serial.slice(3)}`;
+}
+
+function checkCodeMatches(ticket, input) {
+    const expected = Buffer.from(ticket.checkCode || '');
+    const actual = Buffer.from(normalizeCode(input));
+    return expected.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { generateSerial, generateCheckCode, normalizeCode, formatSerial, checkCodeMatches };
@@ -0,0 +1,193 @@
+// prizePatterns.js
+// Declarative prize patterns, so a new prize is data in the rules editor instead of a new switch case.
+// A pattern is plain JSON:
+//   select      - which numbers on the ticket count. Every filter given must match; omit for the whole ticket.
+//                   rows:     [0, 2]              numbers in these rows
+//                   mask:     3x9 array of 0/1    numbers in these grid cells
+//                   picks:    [{ row, index }]    the index-th number of a row (negative counts from the end)
+//                   extremes: true                the lowest and highest number on the ticket
+//                   where:    number predicate    see matchesNumberPredicate
+//   require     - 'all' (default)   every selected number has been called
+//                 { atLeast: N }    at least N selected numbers have been called ("any N")
+//                 { uncalled: N }   exactly N selected numbers are still uncalled
+//   minSelected - the ticket needs at least this many selected numbers (default 1)
+//   order       - conditions on other prizes and on timing:
+//                   after:  [ruleId]    those prizes already have a winner (e.g. Second Full House)
+//                   before: [ruleId]    those prizes have no winner yet
+//                   withinCalls: N      complete using only the first N numbers called
+//                   atWinOf: ruleId     judged on the numbers called up to the call that first won that prize
+// "First to" is what every prize already is: the first claim window wins, up to the rule's maxPrizes.
+
+const TICKET_ROWS = 3;
+const TICKET_COLUMNS = 9;
+
+// Built-in prizes, keyed by the rule IDs the admin screen ships with
+const BUILT_IN_PATTERNS = {
+    rule_early5: { select: {}, require: { atLeast: 5 } },
+    rule_early7: { select: {}, require: { atLeast: 7 } },
+    rule_topline: { select: { rows: [0] } },
+    rule_middleline: { select: { rows: [1] } },
+    rule_bottomline: { select: { rows: [2] } },
+    rule_fullhouse: { select: {} },
+    rule_corners: {
+        select: { picks: [{ row: 0, index: 0 }, { row: 0, index: -1 }, { row: 2, index: 0 }, { row: 2, index: -1 }] },
+        minSelected: 2
+    },
+    rule_123: {
+        select: { picks: [{ row: 0, index: 0 }, { row: 1, index: 0 }, { row: 1, index: 1 }, { row: 2, index: 0 }, { row: 2, index: 1 }, { row: 2, index: 2 }] },
+        minSelected: 6
+    },
+    rule_bullseye: { select: { extremes: true }, minSelected: 2 },
+    rule_breakfast: { select: { where: { range: [1, 30] } } },
+    rule_dinner: { select: { where: { range: [61, 90] } } },
+    rule_fatladies: { select: { where: { digit: 8 } } },
+    // One number short of a full house on the call that won Full House
+    rule_unlucky1: { select: {}, require: { uncalled: 1 }, order: { after: ['rule_fullhouse'], atWinOf: 'rule_fullhouse' } }
+};
+
+// Rooms saved before rules carried patterns only have display names to go on
+const BUILT_IN_RULE_IDS_BY_NAME = {
+    'Early 5': 'rule_early5',
+    'Early 7': 'rule_early7',
+    'Top Line': 'rule_topline',
+    'Middle Line': 'rule_middleline',
+    'Bottom Line': 'rule_bottomline',
+    'Full House': 'rule_fullhouse',
+    'Corners': 'rule_corners',
+    '1-2-3': 'rule_123',
+    'BP (Bull\'s Eye)': 'rule_bullseye',
+    'Breakfast': 'rule_breakfast',
+    'Dinner': 'rule_dinner',
+    'Fat Ladies': 'rule_fatladies',
+    'Unlucky 1': 'rule_unlucky1'
+};
+
+// where: { range: [min, max] }, { digit: 8 }, { parity: 'odd' | 'even' }, { multipleOf: 5 }, { in: [..] }
+function matchesNumberPredicate(num, where) {
+    if (!where) return true;
+    if (where.range && (num < where.range[0] || num > where.range[1])) return false;
+    if (where.digit !== undefined && !String(num).includes(String(where.digit))) return false;
+    if (where.parity === 'odd' && num % 2 === 0) return false;
+    if (where.parity === 'even' && num % 2 !== 0) return false;
+    if (where.multipleOf && num % where.multipleOf !== 0) return false;
+    if (where.in && !where.in.includes(num)) return false;
+    return true;
+}
+
+function selectNumbers(select, ticketNumbers) {
+    const cells = [];
+    ticketNumbers.forEach((row, rowIndex) => row.forEach((num, colIndex) => {
+        if (num !== null) cells.push({ num, rowIndex, colIndex });
+    }));
+    const numbersInRow = (rowIndex) => cells.filter(c => c.rowIndex === rowIndex).map(c => c.num);
+    const allNumbers = cells.map(c => c.num);
+
+    let picked = null;
+    if (select.picks) {
+        picked = new Set();
+        select.picks.forEach(({ row, index }) => {
+            const rowNums = numbersInRow(row);
+            const num = index < 0 ? rowNums[rowNums.length + index] : rowNums[index];
+            if (num !== undefined) picked.add(num);
+        });
+    }
+    const extremes = select.extremes && allNumbers.length > 0 ? [Math.min(...allNumbers), Math.max(...allNumbers)] : null;
+
+    const selected = cells.filter(c => {
+        if (select.rows && !select.rows.includes(c.rowIndex)) return false;
+        if (select.mask && !(select.mask[c.rowIndex] && select.mask[c.rowIndex][c.colIndex])) return false;
+        if (picked && !picked.has(c.num)) return false;
+        if (select.extremes && !(extremes && extremes.includes(c.num))) return false;
+        return matchesNumberPredicate(c.num, select.where);
+    }).map(c => c.num);
+    return [...new Set(selected)];
+}
+
+// context: { wonRuleIds: [ruleId, ...], wonAtCalls: { ruleId: N } } - prizes that already have a winner, and how many
+// numbers had been called when each was first won, for order conditions
+function evaluatePattern(pattern, ticketNumbers, calledNumbers, context = {}) {
+    const order = pattern.order || {};
+    const wonRuleIds = context.wonRuleIds || [];
+    if (order.after && !order.after.every(id => wonRuleIds.includes(id))) return false;
+    if (order.before && order.before.some(id => wonRuleIds.includes(id))) return false;
+    let effectiveCalled = order.withinCalls ? calledNumbers.slice(0, order.withinCalls) : calledNumbers;
+    if (order.atWinOf) {
+        const wonAtCall = (context.wonAtCalls || {})[order.atWinOf];
+        if (wonAtCall === undefined) return false;
+        effectiveCalled = effectiveCalled.slice(0, wonAtCall);
+    }
+
+    const selected = selectNumbers(pattern.select || {}, ticketNumbers);
+    if (selected.length === 0 || selected.length < (pattern.minSelected || 1)) return false;
+    const calledCount = selected.filter(num => effectiveCalled.includes(num)).length;
+
+    const require = pattern.require || 'all';
+    if (require === 'all') return calledCount === selected.length;
+    if (require.atLeast !== undefined) return calledCount >= require.atLeast;
+    if (require.uncalled !== undefined) return selected.length - calledCount === require.uncalled;
+    return false;
+}
+
+function getPatternForRule(rule) {
+    if (!rule) return null;
+    if (rule.pattern) return rule.pattern;
+    return BUILT_IN_PATTERNS[rule.id] || BUILT_IN_PATTERNS[BUILT_IN_RULE_IDS_BY_NAME[rule.name]] || null;
+}
+
+function isWholeNumber(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isRuleIdList(value) {
+    return Array.isArray(value) && value.every(id => typeof id === 'string' && id.length > 0);
+}
+
+// Returns an error message for a malformed pattern, or null if it is usable
+function validatePatternDefinition(pattern) {
+    if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) return 'Pattern must be an object.';
+    const select = pattern.select || {};
+    if (typeof select !== 'object') return '"select" must be an object.';
+    if (select.rows && (!Array.isArray(select.rows) || select.rows.some(r => !Number.isInteger(r) || r < 0 || r >= TICKET_ROWS))) {
+        return '"select.rows" must list row numbers 0-2.';
+    }
+    if (select.mask && (!Array.isArray(select.mask) || select.mask.length !== TICKET_ROWS || select.mask.some(row => !Array.isArray(row) || row.length !== TICKET_COLUMNS))) {
+        return '"select.mask" must be 3 rows of 9 cells.';
+    }
+    if (select.mask && select.mask.some(row => row.some(cell => cell !== 0 && cell !== 1))) return '"select.mask" cells must be 0 or 1.';
+    if (select.picks && (!Array.isArray(select.picks) || select.picks.some(p => !p || !Number.isInteger(p.row) || p.row < 0 || p.row >= TICKET_ROWS || !Number.isInteger(p.index)))) {
+        return '"select.picks" entries need an integer "row" (0-2) and "index".';
+    }
+    const where = select.where;
+    if (where) {
+        if (typeof where !== 'object' || Array.isArray(where)) return '"select.where" must be an object.';
+        if (where.range && (!Array.isArray(where.range) || where.range.length !== 2 || !where.range.every(Number.isInteger) || where.range[0] > where.range[1])) {
+            return '"where.range" must be [min, max] with whole numbers, min no more than max.';
+        }
+        if (where.digit !== undefined && !(Number.isInteger(where.digit) && where.digit >= 0 && where.digit <= 9)) return '"where.digit" must be a digit 0-9.';
+        if (where.parity && !['odd', 'even'].includes(where.parity)) return '"where.parity" must be "odd" or "even".';
+        if (where.multipleOf !== undefined && !isPositiveInteger(where.multipleOf)) return '"where.multipleOf" must be a positive whole number.';
+        if (where.in && (!Array.isArray(where.in) || !where.in.every(Number.isInteger))) return '"where.in" must be a list of whole numbers.';
+    }
+    const require = pattern.require || 'all';
+    if (require !== 'all' && (typeof require !== 'object' || (require.atLeast === undefined && require.uncalled === undefined))) {
+        return '"require" must be "all", { "atLeast": N } or { "uncalled": N }.';
+    }
+    if (require.atLeast !== undefined && !isWholeNumber(require.atLeast)) return '"require.atLeast" must be a whole number.';
+    if (require.uncalled !== undefined && !isWholeNumber(require.uncalled)) return '"require.uncalled" must be a whole number.';
+    if (pattern.minSelected !== undefined && !isPositiveInteger(pattern.minSelected)) return '"minSelected" must be a positive whole number.';
+    const order = pattern.order;
+    if (order) {
+        if (typeof order !== 'object' || Array.isArray(order)) return '"order" must be an object.';
+        if (order.after && !isRuleIdList(order.after)) return '"order.after" must be a list of rule IDs.';
+        if (order.before && !isRuleIdList(order.before)) return '"order.before" must be a list of rule IDs.';
+        if (order.withinCalls !== undefined && !isPositiveInteger(order.withinCalls)) return '"order.withinCalls" must be a positive whole number.';
+        if (order.atWinOf !== undefined && (typeof order.atWinOf !== 'string' || !order.atWinOf)) return '"order.atWinOf" must be a rule ID.';
+    }
+    return null;
+}
+
+module.exports = { BUILT_IN_PATTERNS, evaluatePattern, getPatternForRule, validatePatternDefinition, selectNumbers, matchesNumberPredicate };
@@ -0,0 +1,287 @@
+// protocol.js
+// The WebSocket protocol: every message is { type, payload, requestId? }.
+// Each inbound type has a payload schema here; the server validates against it before the handler runs
+// and works from the cleaned copy, so nothing the client made up ends up in room state.
+//
+// Versions:
+//   1 - clients that never say HELLO. Unknown payload fields are dropped.
+//   2 - clients that open with HELLO { protocolVersions: [2] }. Unknown fields are an error, nested ones included.
+// requestId (any short string) is echoed on the replies to that message, errors included.
+// Errors are ERROR { code, message, field?, requestId? }; code is one of ERROR_CODES.
+
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_PROTOCOL_VERSIONS = [1, 2];
+const LEGACY_PROTOCOL_VERSION = 1; // Assumed until the client says HELLO
+const MAX_REQUEST_ID_LENGTH = 64;
+
+const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE', // Not a { type, payload } envelope
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    VALIDATION_FAILED: 'VALIDATION_FAILED', // Payload doesn't match the schema; see field
+    UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+    UNAUTHORIZED: 'UNAUTHORIZED', // Not joined, or the role lacks the permission
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+    NOT_FOUND: 'NOT_FOUND', // Ticket, claim, ban, chat message...
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS', // Wrong admin secret, join code or co-host code
+    INVALID_SESSION: 'INVALID_SESSION', // Resume token expired or no longer valid
+    NAME_TAKEN: 'NAME_TAKEN',
+    ROOM_TAKEN: 'ROOM_TAKEN', // Room has a different active admin
+    REPLACED: 'REPLACED', // Another admin took over this connection's seat
+    BANNED: 'BANNED',
+    ROOM_LOCKED: 'ROOM_LOCKED',
+    ROOM_FULL: 'ROOM_FULL',
+    INVALID_STATE: 'INVALID_STATE', // Right request, wrong moment (game not running, tickets locked...)
+    INVALID_VALUE: 'INVALID_VALUE', // Passed the schema but not the game rules (unknown mode, bad pattern...)
+    LIMIT_REACHED: 'LIMIT_REACHED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    ALREADY_CLAIMED: 'ALREADY_CLAIMED',
+    FORBIDDEN: 'FORBIDDEN', // Allowed to send the type, not allowed to do this (muted, locked out, cancelled ticket)
+    NO_HOST_AVAILABLE: 'NO_HOST_AVAILABLE',
+    ROOM_UNAVAILABLE: 'ROOM_UNAVAILABLE' // The server owning the room couldn't be reached; reconnect and retry
+};
+
+// --- Field Specs ---
+// { type, required, nullable, enum, min, max, minLength, maxLength, maxItems, items, properties, values }
+// type: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object'
+// Numeric strings are accepted for number fields (HTML inputs hand them over as text); '' is null when nullable.
+// An object spec with properties keeps only those; with values it's a map; with neither it passes through.
+const id = { type: 'string', required: true, maxLength: 64 };
+const optionalId = { type: 'string', maxLength: 64 };
+const name = { type: 'string', required: true, maxLength: 50 };
+const code = { type: 'string', maxLength: 100 };
+const reason = { type: 'string', nullable: true, maxLength: 200 };
+const quantity = { type: 'integer', min: 1, max: 30 };
+
+const RULE_SCHEMA = {
+    type: 'object',
+    properties: {
+        id,
+        name: { type: 'string', required: true, maxLength: 60 },
+        description: { type: 'string', nullable: true, maxLength: 500 },
+        baseWeight: { type: 'number', min: 0, max: 100 },
+        originalWeight: { type: 'number', nullable: true, min: 0, max: 100 },
+        maxPrizes: { type: 'integer', min: 1, max: 100 },
+        coinsPerPrize: { type: 'number', min: 0 },
+        isActive: { type: 'boolean' },
+        tiePolicy: { type: 'string', maxLength: 20 },
+        pattern: { type: 'object', nullable: true } // Checked by prizePatterns.validatePatternDefinition
+    }
+};
+const RULES = { type: 'array', required: true, maxItems: 50, items: RULE_SCHEMA };
+// How the next game runs; sent when starting it now or scheduling it
+const GAME_SETTINGS = {
+    rulesConfig: RULES,
+    totalMoneyCollected: { type: 'number', required: true, min: 0 },
+    callingMode: { type: 'string', enum: ['manual', 'auto'] },
+    autoCallInterval: { type: 'integer', min: 1, max: 600 },
+    roundTicketPolicy: { type: 'string', maxLength: 20 }
+};
+
+const MESSAGE_SCHEMAS = {
+    HELLO: {
+        protocolVersions: { type: 'array', required: true, maxItems: 10, items: { type: 'integer', min: 1 } },
+        client: { type: 'string', maxLength: 60 } // Free text for the logs, e.g. 'admin_room'
+    },
+
+    // Joining
+    ADMIN_CREATE_JOIN_ROOM: { adminName: name, roomId: id, adminSecret: code, joinCode: code, cohostCode: code },
+    COHOST_JOIN_ROOM: { cohostName: name, roomId: id, cohostCode: code },
+    PLAYER_JOIN_ROOM: { playerName: name, roomId: id, joinCode: code, deviceId: code },
+    SPECTATOR_JOIN_ROOM: { roomId: id, joinCode: code, lastCallSequence: { type: 'integer', min: 0 } },
+    RESUME_SESSION: { resumeToken: { type: 'string', required: true, maxLength: 2000 }, lastCallSequence: { type: 'integer', min: 0 } },
+
+    // Game control
+    ADMIN_START_GAME: GAME_SETTINGS,
+    ADMIN_SCHEDULE_GAME: {
+        ...GAME_SETTINGS,
+        startAt: { type: 'string', required: true, maxLength: 40 }, // ISO 8601 with a time zone, e.g. from Date.toISOString()
+        ticketCutoffMinutes: { type: 'integer', min: 0, max: 1440 } // Ticket requests close this long before the start; 0 = at the start
+    },
+    ADMIN_CANCEL_SCHEDULED_GAME: {},
+    ADMIN_CALL_NUMBER: {},
+    ADMIN_PAUSE_GAME: {},
+    ADMIN_RESUME_GAME: {},
+    ADMIN_STOP_GAME: {},
+    ADMIN_NEW_SESSION: {},
+
+    // Room settings
+    ADMIN_UPDATE_RULES: {
+        rules: RULES,
+        financials: { type: 'object', required: true, properties: { totalMoneyCollected: { type: 'number', required: true, min: 0 } } }
+    },
+    ADMIN_UPDATE_ROOM_ACCESS: {
+        adminSecret: code, joinCode: code, cohostCode: code,
+        maxPlayers: { type: 'integer', nullable: true, min: 1 },
+        lockJoinsDuringGame: { type: 'boolean' }
+    },
+    ADMIN_UPDATE_TICKET_PRICE: { ticketPrice: { type: 'number', required: true, min: 0 } },
+    ADMIN_UPDATE_TICKET_LIMITS: {
+        maxTicketsPerPlayer: { type: 'integer', nullable: true, min: 1 },
+        lockTicketsAfterFirstCall: { type: 'boolean' }
+    },
+    ADMIN_UPDATE_TICKET_MODE: { ticketMode: { type: 'string', required: true, maxLength: 20 } },
+    ADMIN_UPDATE_CLAIM_MODE: { claimMode: { type: 'string', required: true, maxLength: 20 } },
+    ADMIN_UPDATE_MARKING_MODE: { markingMode: { type: 'string', required: true, maxLength: 20 } },
+    ADMIN_UPDATE_CLAIM_PENALTIES: {
+        bogeyRules: {
+            type: 'object',
+            properties: {
+                penaltyCoins: { type: 'number', min: 0 },
+                lockPrize: { type: 'boolean' },
+                cancelTicketAfterStrikes: { type: 'integer', min: 0 }
+            }
+        },
+        claimRateLimit: {
+            type: 'object',
+            properties: { maxClaims: { type: 'integer', min: 0 }, perSeconds: { type: 'integer', min: 1 } }
+        }
+    },
+    ADMIN_UPDATE_CALL_PHRASES: {
+        packId: { type: 'string', required: true, maxLength: 20 },
+        overrides: { type: 'object', values: { type: 'string', maxLength: 200 } } // Lengths per phrase are checked in callPhrases.js
+    },
+    ADMIN_UPDATE_CHAT_SETTINGS: { filterProfanity: { type: 'boolean', required: true } },
+
+    // Money
+    ADMIN_ADJUST_BALANCE: { targetPlayerId: id, amount: { type: 'number', required: true }, note: { type: 'string', nullable: true, maxLength: 200 } },
+    ADMIN_EXPORT_LEDGER: {},
+
+    // Tickets and claims
+    ADMIN_APPROVE_TICKET_REQUEST: { targetPlayerId: id, quantity },
+    ADMIN_APPROVE_ALL_TICKET_REQUESTS: {},
+    ADMIN_REJECT_TICKET_REQUEST: { targetPlayerId: id, reason },
+    ADMIN_REVOKE_TICKET: { targetPlayerId: id, ticketId: id, reason },
+    ADMIN_APPROVE_PRIZE_CLAIM: { claimId: id, targetPlayerId: id, prizeName: { type: 'string', maxLength: 60 }, prizeRuleId: optionalId },
+    ADMIN_REJECT_PRIZE_CLAIM: { claimId: id, targetPlayerId: id, prizeName: { type: 'string', maxLength: 60 }, reason },
+    // Paper tickets (see paperTickets.js); serials and check codes are accepted with or without the dash
+    ADMIN_GENERATE_PAPER_TICKETS: { count: { type: 'integer', required: true, min: 1, max: 100 } },
+    ADMIN_CHECK_PAPER_TICKET: { serial: { type: 'string', required: true, maxLength: 12 }, checkCode: { type: 'string', maxLength: 8 } },
+    ADMIN_AWARD_PAPER_CLAIM: { serial: { type: 'string', required: true, maxLength: 12 }, checkCode: { type: 'string', required: true, minLength: 1, maxLength: 8 }, prizeRuleId: id },
+    PLAYER_REQUEST_TICKET: { playerId: optionalId, quantity },
+    PLAYER_CLAIM_PRIZE: { prizeRuleId: id, ticketId: id, clientTempClaimId: optionalId },
+    PLAYER_MARK_NUMBER: { ticketId: id, number: { type: 'integer', required: true, min: 1, max: 90 }, marked: { type: 'boolean', required: true } },
+
+    // Chat and moderation
+    CHAT_SEND: { text: { type: 'string', required: true, maxLength: 1000 }, toPlayerId: { type: 'string', nullable: true, maxLength: 64 } },
+    CHAT_REACTION: { emoji: { type: 'string', required: true, maxLength: 16 } },
+    ADMIN_MUTE_PLAYER: { targetPlayerId: id, muted: { type: 'boolean', required: true } },
+    ADMIN_KICK_PLAYER: { targetPlayerId: id, reason },
+    ADMIN_BAN_PLAYER: { targetPlayerId: id, reason },
+    ADMIN_UNBAN_PLAYER: { banId: id },
+    ADMIN_DELETE_CHAT_MESSAGE: { messageId: id },
+
+    // Bots (see bots.js)
+    ADMIN_ADD_BOTS: {
+        count: { type: 'integer', required: true, min: 1, max: 20 },
+        tickets: { type: 'integer', min: 1, max: 30 }, // Each bot asks for this many, through the usual approval
+        minDelayMs: { type: 'integer', min: 0, max: 60000 },
+        maxDelayMs: { type: 'integer', min: 0, max: 60000 },
+        falseClaimChance: { type: 'number', min: 0, max: 1 } // Per called number
+    },
+    ADMIN_REMOVE_BOTS: {},
+    ADMIN_UPDATE_BOT_PAYOUTS: { excludeBotsFromPayouts: { type: 'boolean', required: true } }
+};
+
+// --- Validation Helper Functions ---
+
+class ValidationError extends Error {
+    constructor(field, message) {
+        super(`${field} ${message}.`);
+        this.field = field;
+    }
+}
+
+function coerceNumber(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+// Returns the cleaned value; throws ValidationError
+function validateField(spec, value, path, strict) {
+    if (spec.nullable && (value === null || value === '')) return null;
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') throw new ValidationError(path, 'must be text');
+            if (spec.minLength && value.length < spec.minLength) throw new ValidationError(path, spec.minLength === 1 ? 'must not be empty' : `must be at least ${spec.minLength} characters`);
+            if (spec.maxLength && value.length > spec.maxLength) throw new ValidationError(path, `must be at most ${spec.maxLength} characters`);
+            break;
+        case 'integer':
+        case 'number':
+            value = coerceNumber(value);
+            if (typeof value !== 'number' || !Number.isFinite(value)) throw new ValidationError(path, 'must be a number');
+            if (spec.type === 'integer' && !Number.isInteger(value)) throw new ValidationError(path, 'must be a whole number');
+            if (spec.min !== undefined && value < spec.min) throw new ValidationError(path, `must be at least ${spec.min}`);
+            if (spec.max !== undefined && value > spec.max) throw new ValidationError(path, `must be at most ${spec.max}`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') throw new ValidationError(path, 'must be true or false');
+            break;
+        case 'array':
+            if (!Array.isArray(value)) throw new ValidationError(path, 'must be a list');
+            if (spec.maxItems && value.length > spec.maxItems) throw new ValidationError(path, `can have at most ${spec.maxItems} items`);
+            return spec.items ? value.map((item, i) => validateField(spec.items, item, `${path}[${i}]`, strict)) : value;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) throw new ValidationError(path, 'must be an object');
+            if (spec.properties) return validateObject(spec.properties, value, path, strict);
+            if (spec.values) {
+                const map = {};
+                for (const [key, entry] of Object.entries(value)) map[key] = validateField(spec.values, entry, `${path}.${key}`, strict);
+                return map;
+            }
+            break;
+    }
+    if (spec.enum && !spec.enum.includes(value)) throw new ValidationError(path, `must be one of ${spec.enum.join(', ')}`);
+    return value;
+}
+
+function validateObject(properties, value, path, strict) {
+    const cleaned = {};
+    if (strict) {
+        const unknown = Object.keys(value).find(key => !properties[key]);
+        if (unknown) throw new ValidationError(path ? `${path}.${unknown}` : unknown, 'is not a known field');
+    }
+    for (const [key, spec] of Object.entries(properties)) {
+        const fieldPath = path ? `${path}.${key}` : key;
+        if (value[key] === undefined) {
+            if (spec.required) throw new ValidationError(fieldPath, 'is required');
+            continue;
+        }
+        cleaned[key] = validateField(spec, value[key], fieldPath, strict);
+    }
+    return cleaned;
+}
+
+// --- Public Functions ---
+
+// Checks the envelope and the payload for its type.
+// Returns { type, payload, requestId } with the cleaned payload, or { error: { code, message, field? }, requestId }
+function parseMessage(message, protocolVersion = LEGACY_PROTOCOL_VERSION) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+        return { error: { code: ERROR_CODES.INVALID_MESSAGE, message: 'Messages must be JSON objects with a type.' } };
+    }
+    const { type, payload = {}, requestId } = message;
+    if (requestId !== undefined && (typeof requestId !== 'string' || !requestId || requestId.length > MAX_REQUEST_ID_LENGTH)) {
+        return { error: { code: ERROR_CODES.INVALID_MESSAGE, message: `requestId must be text of 1-${MAX_REQUEST_ID_LENGTH} characters.` } };
+    }
+    const schema = MESSAGE_SCHEMAS[type];
+    if (!schema) return { error: { code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE, message: `Unknown message type: ${type}` }, requestId };
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: { code: ERROR_CODES.VALIDATION_FAILED, message: 'payload must be an object.', field: 'payload' }, requestId };
+    }
+    try {
+        return { type, payload: validateObject(schema, payload, '', protocolVersion >= 2), requestId };
+    } catch (e) {
+        if (!(e instanceof ValidationError)) throw e;
+        return { error: { code: ERROR_CODES.VALIDATION_FAILED, message: e.message, field: e.field }, requestId };
+    }
+}
+
+// Picks the highest version both sides speak; null when there is none
+function negotiateProtocolVersion(clientVersions) {
+    const common = (clientVersions || []).filter(v => SUPPORTED_PROTOCOL_VERSIONS.includes(v));
+    return common.length > 0 ? Math.max(...common) : null;
+}
+
+module.exports = { PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS, LEGACY_PROTOCOL_VERSION, ERROR_CODES, MESSAGE_SCHEMAS, parseMessage, negotiateProtocolVersion };
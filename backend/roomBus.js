@@ -0,0 +1,360 @@
+// roomBus.js
+// Lets several server processes ("nodes") serve the same rooms behind a load balancer.
+// Each room is owned by one node at a time through a lease the owner keeps renewing. The owner runs the room's
+// game logic and timers; other nodes relay their sockets' messages to it (see Cluster helpers in server.js).
+// The server only talks to the object returned by createRoomBus():
+//   nodeId                              this process
+//   shared                              false when there can only ever be one node
+//   publish(channel, message)           message is any JSON value, delivered to subscribers on every node
+//   subscribe(channel, handler)         handler(message)
+//   getRoom(roomId) -> snapshot|null    room state as written by saveRoom (see serializeRoom in server.js)
+//   saveRoom(snapshot), deleteRoom(roomId), listRoomIds() -> [roomId, ...]
+//   listRooms() -> [snapshot, ...]
+//   saveGame(record)                    completed games (see recordCompletedGame), kept after their room is closed
+//   listGames(roomId?) -> [record, ...] every room's when roomId is left out
+//   acquireLease(name, ttlMs) -> bool   takes a free lease or renews our own; false while another node holds it
+//   getLeaseHolder(name) -> nodeId|null
+//   releaseLease(name)
+//   close()
+// Everything but nodeId and shared returns a Promise.
+
+const crypto = require('crypto');
+const net = require('net');
+const { EventEmitter } = require('events');
+
+function generateNodeId() {
+    return `node-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// --- Local driver: one process, room state in the given storage (see storage.js) ---
+function createLocalBus(options = {}) {
+    const { storage } = options;
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    const leases = new Map(); // name -> { nodeId, expiresAt }
+    const nodeId = options.nodeId || generateNodeId();
+
+    const holderOf = (name) => {
+        const lease = leases.get(name);
+        return lease && lease.expiresAt > Date.now() ? lease.nodeId : null;
+    };
+
+    return {
+        name: 'local',
+        nodeId,
+        shared: false,
+        async publish(channel, message) {
+            const copy = JSON.parse(JSON.stringify(message)); // Same as going over the wire
+            setImmediate(() => emitter.emit(channel, copy));
+        },
+        async subscribe(channel, handler) {
+            emitter.on(channel, handler);
+        },
+        async getRoom(roomId) {
+            return storage.loadAllRooms().find(s => s.id === roomId) || null;
+        },
+        async saveRoom(snapshot) {
+            storage.saveRoom(snapshot);
+        },
+        async deleteRoom(roomId) {
+            storage.deleteRoom(roomId);
+        },
+        async listRoomIds() {
+            return storage.loadAllRooms().map(s => s.id);
+        },
+        async listRooms() {
+            return storage.loadAllRooms();
+        },
+        async saveGame(record) {
+            storage.saveGame(record);
+        },
+        async listGames(roomId) {
+            return storage.loadAllGames().filter(g => !roomId || g.roomId === roomId);
+        },
+        async acquireLease(name, ttlMs) {
+            const holder = holderOf(name);
+            if (holder && holder !== nodeId) return false;
+            leases.set(name, { nodeId, expiresAt: Date.now() + ttlMs });
+            return true;
+        },
+        async getLeaseHolder(name) {
+            return holderOf(name);
+        },
+        async releaseLease(name) {
+            if (holderOf(name) === nodeId) leases.delete(name);
+        },
+        async close() {
+            emitter.removeAllListeners();
+        }
+    };
+}
+
+// --- Redis driver: any server that speaks the Redis protocol (Redis, Valkey, KeyDB, or a test stand-in) ---
+// Keys: <prefix>room:<id> (snapshot JSON), <prefix>rooms (set of room IDs), <prefix>lease:<name> (holder, with a TTL),
+// <prefix>game:<id> (game record JSON), <prefix>games (set of game record IDs).
+// Channels are <prefix><channel>. Commands used: GET SET(NX PX) DEL SADD SREM SMEMBERS PUBLISH SUBSCRIBE, and EVAL for
+// the lease scripts below.
+
+// Run by the server in one step, so a lease can't expire and pass to another node between the check and the change.
+// KEYS[1] is the lease, ARGV[1] our nodeId.
+const RENEW_LEASE_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end return 0";
+const RELEASE_LEASE_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0";
+
+class RedisError extends Error {}
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    args.forEach(arg => {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return out;
+}
+
+// Parses one RESP reply starting at offset. Returns { value, offset } or null when the buffer doesn't hold all of it yet.
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const prefix = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+    switch (prefix) {
+        case '+': return { value: line, offset: next };
+        case '-': return { value: new RedisError(line), offset: next };
+        case ':': return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RedisError(`Unexpected reply type "${prefix}"`);
+    }
+}
+
+const RECONNECT_BASE_DELAY_MS = 200;
+const RECONNECT_MAX_DELAY_MS = 10 * 1000;
+
+// One connection; replies come back in command order. onMessage(channel, text) receives pub/sub pushes.
+// Commands made while it is connecting wait until it is ready (connected, with AUTH and SELECT done) and fail if it
+// closes first. A dropped connection is retried with exponential backoff. Commands sent between attempts fail straight
+// away; onDisconnect() runs when it drops and onReconnect() once it is ready again.
+function connectRedis(url, { onMessage, onDisconnect, onReconnect }) {
+    const { hostname, port, password, pathname } = new URL(url);
+    const db = (pathname || '').slice(1);
+    let socket = null;
+    const pending = []; // Sent, awaiting their reply
+    const waiting = []; // Not sent yet: { args, resolve, reject }
+    let buffer = Buffer.alloc(0);
+    let closing = false;
+    let connected = false;
+    let ready = false;
+    let attempts = 0; // Failed attempts since the last ready connection, for the backoff
+    let reconnectTimer = null;
+
+    const send = (args) => new Promise((resolve, reject) => {
+        pending.push({ resolve, reject });
+        socket.write(encodeCommand(args));
+    });
+
+    const handleData = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let reply;
+        while (buffer.length > 0 && (reply = parseReply(buffer, 0))) {
+            buffer = buffer.subarray(reply.offset);
+            const { value } = reply;
+            if (onMessage && Array.isArray(value) && value[0] === 'message') {
+                onMessage(value[1], value[2]);
+                continue;
+            }
+            const request = pending.shift();
+            if (!request) continue;
+            if (value instanceof RedisError) request.reject(value);
+            else request.resolve(value);
+        }
+    };
+
+    const scheduleReconnect = () => {
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** attempts, RECONNECT_MAX_DELAY_MS);
+        attempts++;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            open();
+        }, delay);
+    };
+
+    const open = () => {
+        const isReconnect = attempts > 0;
+        socket = net.createConnection({ host: hostname || '127.0.0.1', port: Number(port) || 6379 });
+        buffer = Buffer.alloc(0);
+        socket.on('data', handleData);
+        socket.on('error', e => {
+            if (!isReconnect || connected) console.error(`Room bus: Redis connection error (${url}):`, e.message);
+        });
+        const attemptSocket = socket;
+        socket.on('connect', async () => {
+            connected = true;
+            try {
+                if (password) await send(['AUTH', decodeURIComponent(password)]);
+                if (db) await send(['SELECT', db]);
+            } catch (e) {
+                if (attemptSocket.destroyed) return; // Closed meanwhile; the close handler takes it from here
+                console.error('Room bus: Redis AUTH/SELECT failed:', e.message);
+                attemptSocket.destroy(); // Retried like a dropped connection
+                return;
+            }
+            ready = true;
+            attempts = 0; // Not before: a refused AUTH keeps backing off
+            waiting.splice(0).forEach(({ args, resolve, reject }) => send(args).then(resolve, reject));
+            if (isReconnect) {
+                console.log(`Room bus: reconnected to Redis at ${hostname || '127.0.0.1'}:${Number(port) || 6379}.`);
+                if (onReconnect) onReconnect();
+            }
+        });
+        socket.on('close', () => {
+            [...pending.splice(0), ...waiting.splice(0)].forEach(request => request.reject(new RedisError('Connection closed')));
+            const wasReady = ready;
+            connected = false;
+            ready = false;
+            if (closing) return;
+            if (wasReady && onDisconnect) onDisconnect();
+            scheduleReconnect();
+        });
+    };
+    open();
+
+    return {
+        command(...args) {
+            if (ready) return send(args);
+            if (socket.destroyed) return Promise.reject(new RedisError('Connection closed'));
+            return new Promise((resolve, reject) => waiting.push({ args, resolve, reject }));
+        },
+        close() {
+            closing = true;
+            clearTimeout(reconnectTimer);
+            socket.end();
+        }
+    };
+}
+
+function createRedisBus(options = {}) {
+    const url = options.url || 'redis://127.0.0.1:6379';
+    const prefix = options.prefix || 'tambola:';
+    const nodeId = options.nodeId || generateNodeId();
+    const handlers = new Map(); // channel -> [handler]
+
+    // options.onDisconnect / onReconnect run for each of the two connections
+    const client = connectRedis(url, { onDisconnect: options.onDisconnect, onReconnect: options.onReconnect });
+    // A subscribed connection can't run other commands, so pub/sub gets its own
+    const subscriber = connectRedis(url, {
+        onDisconnect: options.onDisconnect,
+        onReconnect() {
+            // Subscriptions belong to the old connection
+            Promise.all([...handlers.keys()].map(channel => subscriber.command('SUBSCRIBE', prefix + channel)))
+                .catch(e => console.error('Room bus: could not resubscribe:', e.message))
+                .then(() => options.onReconnect && options.onReconnect());
+        },
+        onMessage(fullChannel, text) {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return console.error(`Room bus: ignoring malformed message on ${fullChannel}.`);
+            }
+            (handlers.get(fullChannel.slice(prefix.length)) || []).forEach(handler => handler(message));
+        }
+    });
+
+    const roomKey = (roomId) => `${prefix}room:${roomId}`;
+    const leaseKey = (name) => `${prefix}lease:${name}`;
+    const gameKey = (gameId) => `${prefix}game:${gameId}`;
+    const getJson = async (key) => {
+        const text = await client.command('GET', key);
+        return text ? JSON.parse(text) : null;
+    };
+
+    return {
+        name: 'redis',
+        nodeId,
+        shared: true,
+        async publish(channel, message) {
+            await client.command('PUBLISH', prefix + channel, JSON.stringify(message));
+        },
+        async subscribe(channel, handler) {
+            const isNewChannel = !handlers.has(channel);
+            if (isNewChannel) handlers.set(channel, []);
+            handlers.get(channel).push(handler); // Kept even if SUBSCRIBE fails now; a reconnect subscribes again
+            if (isNewChannel) await subscriber.command('SUBSCRIBE', prefix + channel);
+        },
+        async getRoom(roomId) {
+            return getJson(roomKey(roomId));
+        },
+        async saveRoom(snapshot) {
+            await client.command('SET', roomKey(snapshot.id), JSON.stringify(snapshot));
+            await client.command('SADD', `${prefix}rooms`, snapshot.id);
+        },
+        async deleteRoom(roomId) {
+            await client.command('DEL', roomKey(roomId));
+            await client.command('SREM', `${prefix}rooms`, roomId);
+        },
+        async listRoomIds() {
+            return (await client.command('SMEMBERS', `${prefix}rooms`)) || [];
+        },
+        async listRooms() {
+            const roomIds = (await client.command('SMEMBERS', `${prefix}rooms`)) || [];
+            return (await Promise.all(roomIds.map(roomId => getJson(roomKey(roomId))))).filter(Boolean);
+        },
+        async saveGame(record) {
+            await client.command('SET', gameKey(record.id), JSON.stringify(record));
+            await client.command('SADD', `${prefix}games`, record.id);
+        },
+        async listGames(roomId) {
+            const gameIds = (await client.command('SMEMBERS', `${prefix}games`)) || [];
+            const records = await Promise.all(gameIds.map(gameId => getJson(gameKey(gameId))));
+            return records.filter(g => g && (!roomId || g.roomId === roomId));
+        },
+        async acquireLease(name, ttlMs) {
+            if (await client.command('SET', leaseKey(name), nodeId, 'NX', 'PX', ttlMs) === 'OK') return true;
+            return await client.command('EVAL', RENEW_LEASE_SCRIPT, 1, leaseKey(name), nodeId, ttlMs) === 1;
+        },
+        async getLeaseHolder(name) {
+            return client.command('GET', leaseKey(name));
+        },
+        async releaseLease(name) {
+            await client.command('EVAL', RELEASE_LEASE_SCRIPT, 1, leaseKey(name), nodeId);
+        },
+        async close() {
+            client.close();
+            subscriber.close();
+        }
+    };
+}
+
+const drivers = {
+    local: createLocalBus,
+    redis: createRedisBus
+};
+
+function createRoomBus(driverName = 'local', options = {}) {
+    const factory = drivers[driverName];
+    if (!factory) {
+        throw new Error(`Unknown room bus driver "${driverName}". Available: ${Object.keys(drivers).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createRoomBus };
@@ -4,10 +4,35 @@
 
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const cors = require('cors'); // For handling Cross-Origin Resource Sharing
+const { EventEmitter } = require('events');
+const { createStorage } = require('./storage');
+const { createRoomBus } = require('./roomBus');
+const { generateSessionSecret, createResumeToken, decodeResumeToken, verifyResumeToken, hashSecret, verifySecret } = require('./sessionTokens');
+const { evaluatePattern, getPatternForRule, validatePatternDefinition } = require('./prizePatterns');
+const { STRIP_SIZE, generateSeed, generateTambolaTicket, generateTicketStrip } = require('./ticketGenerator');
+const { DRAW_ALGORITHM, createDrawSeed, commitToSeed, buildDrawSequence, verifyDraw } = require('./drawAudit');
+const { roundMoney, addLedgerEntry, getUnassignedSales, assignSalesToGame, splitPrizePool, ledgerToCsv } = require('./ledger');
+const { DEFAULT_PHRASE_PACK, getCallPhrase, normalizeCallPhrases, listPhrasePacks } = require('./callPhrases');
+const { CHAT_RATE_LIMIT, QUICK_REACTIONS, createChatState, getChatState, cleanChatText, addChatMessage, getChatHistoryFor, isPlayerMuted, setPlayerMuted } = require('./chat');
+const { SERVER_ACTOR, appendEvent, takeGameEvents, eventsToJsonLines } = require('./eventLog');
+const { BotSocket } = require('./bots');
+const { generateSerial, generateCheckCode, normalizeCode, formatSerial, checkCodeMatches } = require('./paperTickets');
+const { findWindowSlot, createClaimWindow, isAwaitingDraw, drawClaimWindow, getWindowPayouts } = require('./claimWindows');
+const { PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS, LEGACY_PROTOCOL_VERSION, ERROR_CODES, parseMessage, negotiateProtocolVersion } = require('./protocol');
 
 const PORT = process.env.PORT || 3000; // Port for Render or local development
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file'; // 'file' or 'memory'
+const STORAGE_DIR = process.env.STORAGE_DIR; // Defaults to backend/data for the file driver
+const PLAYER_GRACE_PERIOD_MS = parseInt(process.env.PLAYER_GRACE_PERIOD_MS, 10) || 5 * 60 * 1000; // How long an offline player keeps their seat
+const RESUME_TOKEN_MAX_AGE_MS = parseInt(process.env.RESUME_TOKEN_MAX_AGE_MS, 10) || 12 * 60 * 60 * 1000; // A token older than this can't resume a seat
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 30 * 1000; // A socket that misses a ping for this long is dropped
+const ROOM_BUS = process.env.ROOM_BUS || 'local'; // 'local' (single node) or 'redis' (several nodes sharing REDIS_URL)
+const REDIS_URL = process.env.REDIS_URL; // e.g. redis://:password@host:6379/0
+const ROOM_LEASE_TTL_MS = parseInt(process.env.ROOM_LEASE_TTL_MS, 10) || 15 * 1000; // A node that stops renewing loses its rooms after this long
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Enables the REST API (and /debug/rooms); unset means disabled
 
 const app = express();
 app.use(cors()); // Enable CORS for all routes
@@ -15,8 +40,39 @@ app.use(express.json()); // Middleware to parse JSON bodies
 
 // In-memory storage
 let rooms = {};
-// playerConnections: ws -> { roomId, playerId, type: 'admin'/'player', ws }
+// playerConnections: ws -> { roomId, playerId, type: 'admin'/'cohost'/'player'/'spectator', ws }
 let playerConnections = new Map();
+const storage = createStorage(STORAGE_DRIVER, { dir: STORAGE_DIR }); // Behind the local room bus; a shared bus keeps its own state
+let roomBusConnected = true; // Only a shared bus can drop; the lease loop waits while it is down
+const roomBus = createRoomBus(ROOM_BUS, {
+    storage,
+    url: REDIS_URL,
+    onDisconnect: () => {
+        if (!roomBusConnected) return;
+        roomBusConnected = false;
+        // We can't renew our leases, so another node will take our rooms over; stop running them here now
+        // rather than play on and lose whatever happens in the meantime. The bus reconnects by itself.
+        console.error('Lost connection to the room bus, dropping our rooms until it is back.');
+        Object.keys(rooms).forEach(unloadRoom);
+    },
+    onReconnect: () => {
+        if (roomBusConnected) return;
+        roomBusConnected = true;
+        console.log('Room bus is back, adopting free rooms again.');
+        maintainRoomLeases().catch(e => console.error('Failed to maintain room leases:', e));
+    }
+});
+// playerGraceTimers: playerId -> timeout that removes an offline player once the grace period ends
+const playerGraceTimers = new Map();
+// claimTimestamps: playerId -> times of recent PLAYER_CLAIM_PRIZE messages, for rate limiting (not persisted)
+const claimTimestamps = new Map();
+// chatTimestamps: sender id -> times of recent chat messages and reactions, for rate limiting (not persisted)
+const chatTimestamps = new Map();
+// activeRequest: the message being handled right now, { ws, requestId }, so replies can echo its requestId
+let activeRequest = null;
+// localSockets: connectionId -> real socket on this node; remoteSockets: '<nodeId>/<connectionId>' -> RemoteSocket
+const localSockets = new Map();
+const remoteSockets = new Map();
 
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
@@ -29,104 +85,100 @@ function generateUniqueId() {
     return Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
 }
 
-function generateTambolaTicket() {
-    let ticket = Array(3).fill(null).map(() => Array(9).fill(null));
-    const numbersOnTicket = new Set();
-    const colRanges = [
-        { min: 1, max: 9 }, { min: 10, max: 19 }, { min: 20, max: 29 },
-        { min: 30, max: 39 }, { min: 40, max: 49 }, { min: 50, max: 59 },
-        { min: 60, max: 69 }, { min: 70, max: 79 }, { min: 80, max: 90 }
-    ];
-
-    let colNumberCounts = Array(9).fill(0);
-    let rowNumberCounts = Array(3).fill(0);
-
-    // Try to place 15 numbers
-    let placedCount = 0;
-    let attemptsToPlaceAll = 0;
-
-    while (placedCount < 15 && attemptsToPlaceAll < 1000) {
-        attemptsToPlaceAll++;
-        let r = Math.floor(Math.random() * 3);
-        let c = Math.floor(Math.random() * 9);
-
-        if (ticket[r][c] === null && rowNumberCounts[r] < 5 && colNumberCounts[c] < 3) {
-            // Ensure column has numbers (e.g. no more than 2 empty cells in a col with 1 number, 1 with 2)
-            let numbersInCol = 0;
-            for(let i=0; i<3; i++) if(ticket[i][c] !== null) numbersInCol++;
-            if(numbersInCol >= colRanges[c].max - colRanges[c].min + 1) continue; // Column full for range
-
-            let num;
-            let attemptsToFindNum = 0;
-            do {
-                num = Math.floor(Math.random() * (colRanges[c].max - colRanges[c].min + 1)) + colRanges[c].min;
-                attemptsToFindNum++;
-            } while (numbersOnTicket.has(num) && attemptsToFindNum < 20);
-
-            if (!numbersOnTicket.has(num)) {
-                ticket[r][c] = num;
-                numbersOnTicket.add(num);
-                rowNumberCounts[r]++;
-                colNumberCounts[c]++;
-                placedCount++;
-            }
-        }
+// Deals the player's next ticket: a fresh seeded ticket, or in strip mode the next one from their strip of 6
+// (the seed is kept on the ticket so it can be regenerated and checked later)
+function issueTicket(room, player) {
+    if (room.ticketMode === 'strip') {
+        if (!player.strip || player.strip.dealt >= STRIP_SIZE) player.strip = { seed: generateSeed(), dealt: 0 };
+        const stripIndex = player.strip.dealt++;
+        return { id: generateUniqueId(), numbers: generateTicketStrip(player.strip.seed)[stripIndex], marked: [], seed: player.strip.seed, stripIndex };
     }
+    const seed = generateSeed();
+    return { id: generateUniqueId(), numbers: generateTambolaTicket(seed), marked: [], seed };
+}
 
-    // If not 15 numbers, try to fill remaining, respecting constraints
-    if (placedCount < 15) {
-        for (let r_fill = 0; r_fill < 3; r_fill++) {
-            while (rowNumberCounts[r_fill] < 5 && placedCount < 15) {
-                let filledThisIteration = false;
-                // Find an empty column slot for this row
-                let availableCols = [];
-                for (let c_fill = 0; c_fill < 9; c_fill++) {
-                    if (ticket[r_fill][c_fill] === null && colNumberCounts[c_fill] < 3) {
-                        availableCols.push(c_fill);
-                    }
-                }
-                if (availableCols.length === 0) break; // No place in this row
+// --- Wallet Helper Functions ---
+// Money movements go through ledger.js; hosts see every entry, the player sees their new balance
+function recordLedgerEntry(room, player, entry) {
+    const record = addLedgerEntry(room, player, entry);
+    sendToRoomHosts(room, { type: 'LEDGER_ENTRY', payload: { entry: record, pendingSales: getUnassignedSales(room) } });
+    if (player.ws) sendMessageToClient(player.ws, { type: 'BALANCE_UPDATED', payload: { balance: player.balance, entry: record } });
+    return record;
+}
 
-                let c_fill_choice = availableCols[Math.floor(Math.random() * availableCols.length)];
-                let num;
-                let attemptsToFindNum = 0;
-                do {
-                    num = Math.floor(Math.random() * (colRanges[c_fill_choice].max - colRanges[c_fill_choice].min + 1)) + colRanges[c_fill_choice].min;
-                    attemptsToFindNum++;
-                } while (numbersOnTicket.has(num) && attemptsToFindNum < 20);
+// The game in progress, or the next one between games
+function getCurrentGameNumber(room) {
+    return (room.gamesCompleted || 0) + 1;
+}
 
-                if (!numbersOnTicket.has(num)) {
-                    ticket[r_fill][c_fill_choice] = num;
-                    numbersOnTicket.add(num);
-                    rowNumberCounts[r_fill]++;
-                    colNumberCounts[c_fill_choice]++;
-                    placedCount++;
-                    filledThisIteration = true;
-                }
-                if (!filledThisIteration && attemptsToPlaceAll > 100) break; // Safety break
-            }
-        }
-    }
+// issueTicket plus a purchase entry at the room's ticket price
+function sellTicket(room, player) {
+    const ticket = issueTicket(room, player);
+    logEvent(room, 'TICKET_ISSUED', { playerId: player.id, playerName: player.name, ticketId: ticket.id, numbers: ticket.numbers });
+    if (room.ticketPrice > 0 && !player.isBot) recordLedgerEntry(room, player, { type: 'ticket_purchase', amount: -room.ticketPrice, ticketId: ticket.id });
+    return ticket;
+}
 
+// --- Ticket Request Helper Functions ---
+const DEFAULT_MAX_TICKETS = 5;
+const MAX_TICKETS_LIMIT = 30; // Upper bound for the per-room setting
 
-    // Sort numbers within each column
-    for (let c = 0; c < 9; c++) {
-        let colVals = [];
-        for (let r_sort = 0; r_sort < 3; r_sort++) {
-            if (ticket[r_sort][c] !== null) {
-                colVals.push(ticket[r_sort][c]);
-            }
-        }
-        colVals.sort((a, b) => a - b);
-        let currentIdx = 0;
-        for (let r_sort = 0; r_sort < 3; r_sort++) {
-            if (ticket[r_sort][c] !== null) {
-                ticket[r_sort][c] = colVals[currentIdx++];
-            }
-        }
+// The room's own limit if the host set one; otherwise a full strip is 6 tickets, so strip rooms allow one more than 5
+function getMaxTicketsPerPlayer(room) {
+    if (room.maxTicketsPerPlayer) return room.maxTicketsPerPlayer;
+    return room.ticketMode === 'strip' ? STRIP_SIZE : DEFAULT_MAX_TICKETS;
+}
+
+// With lockTicketsAfterFirstCall, tickets can only be bought before the first number of a game is called
+function areTicketsLocked(room) {
+    return !!room.lockTicketsAfterFirstCall && (room.gameStatus === 'running' || room.gameStatus === 'paused') && room.numbersCalled.length > 0;
+}
+
+function getPendingTicketRequests(room) {
+    return room.players.filter(p => p.ticketRequest).map(p => ({
+        playerId: p.id, playerName: p.name, currentTickets: p.tickets.length, quantity: p.ticketRequest.quantity, requestedAt: p.ticketRequest.requestedAt
+    }));
+}
+
+// Issues up to `quantity` tickets (default: what the player asked for), capped by the room's limit.
+// Returns { ok, code, message, tickets }.
+function approveTicketRequest(room, player, quantity) {
+    if (areTicketsLocked(room)) return { ok: false, code: ERROR_CODES.INVALID_STATE, message: 'Tickets are locked once the first number has been called.', tickets: [] };
+    const requested = parseInt(quantity, 10) || (player.ticketRequest && player.ticketRequest.quantity) || 1;
+    const available = getMaxTicketsPerPlayer(room) - player.tickets.length;
+    if (available <= 0) return { ok: false, code: ERROR_CODES.LIMIT_REACHED, message: `${player.name} already has the maximum of ${getMaxTicketsPerPlayer(room)} tickets.`, tickets: [] };
+    const tickets = [];
+    for (let i = 0; i < Math.min(requested, available); i++) tickets.push(sellTicket(room, player));
+    player.tickets.push(...tickets);
+    delete player.ticketRequest;
+    return { ok: true, message: `${tickets.length} ticket(s) approved for ${player.name}. They now have ${player.tickets.length} tickets.`, tickets };
+}
+
+// Takes a ticket back; if it was bought and its sale is not yet in a prize pool, the purchase is refunded in the ledger.
+// Returns { ok, code, message, refund }.
+function revokeTicket(room, player, ticketId, reason) {
+    const ticket = player.tickets.find(t => t.id === ticketId);
+    if (!ticket) return { ok: false, code: ERROR_CODES.NOT_FOUND, message: 'Ticket not found.' };
+    if ((player.claims || []).some(c => c.ticketId === ticketId && c.status !== 'rejected')) {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: 'This ticket has a pending or approved claim in the current game.' };
     }
-    // console.log("Generated ticket with numbers: ", numbersOnTicket.size, JSON.stringify(ticket));
-    return ticket;
+    const purchase = (room.ledger || []).find(e => e.type === 'ticket_purchase' && e.ticketId === ticketId);
+    // Its sale is already in the running game's prize pool, which is fixed at the start
+    const gameInProgress = room.gameStatus === 'running' || room.gameStatus === 'paused';
+    if (purchase && gameInProgress && purchase.gameNumber === getCurrentGameNumber(room)) {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: 'This ticket paid into the game in progress; revoke it after the game ends.' };
+    }
+    player.tickets = player.tickets.filter(t => t.id !== ticketId);
+    logEvent(room, 'TICKET_REVOKED', { playerId: player.id, playerName: player.name, ticketId, reason: reason || '' });
+    const alreadyRefunded = (room.ledger || []).some(e => e.type === 'refund' && e.ticketId === ticketId);
+    let refund = 0;
+    // Only a sale still waiting for the next game is refunded, and that pool shrinks with it; one that paid into an
+    // earlier game's pool has already been paid out
+    if (purchase && purchase.gameNumber === null && !alreadyRefunded) {
+        refund = -purchase.amount;
+        recordLedgerEntry(room, player, { type: 'refund', amount: refund, ticketId, note: reason || 'Ticket revoked' });
+    }
+    return { ok: true, message: `Ticket ${ticketId.substring(0, 6)} revoked from ${player.name}${refund ? `, refunded ${refund.toFixed(2)}` : ''}.`, refund };
 }
 
 
@@ -138,30 +190,61 @@ function broadcastToRoom(roomId, message, excludeWs = null) {
         if (room.admin && room.admin.ws && room.admin.ws.readyState === WebSocket.OPEN) {
             recipients.push(room.admin.ws);
         }
+        // Add co-hosts if connected
+        (room.cohosts || []).forEach(cohost => {
+            if (cohost.ws && cohost.ws.readyState === WebSocket.OPEN) {
+                recipients.push(cohost.ws);
+            }
+        });
         // Add players if connected
         room.players.forEach(player => {
             if (player.ws && player.ws.readyState === WebSocket.OPEN) {
                 recipients.push(player.ws);
             }
         });
+        // Add spectators (big-screen boards) if connected
+        (room.spectators || []).forEach(spectator => {
+            if (spectator.ws && spectator.ws.readyState === WebSocket.OPEN) {
+                recipients.push(spectator.ws);
+            }
+        });
 
+        const data = JSON.stringify(message);
+        const remoteRecipients = [];
         recipients.forEach(clientWs => {
             if (clientWs !== excludeWs) { // Check if clientWs is not the one to exclude
+                if (clientWs.isRemote) return remoteRecipients.push(clientWs); // Batched per node below
                 try {
-                    clientWs.send(JSON.stringify(message));
+                    clientWs.send(data);
                 } catch (e) {
                     console.error('Broadcast error to client:', e);
                     // Optionally remove problematic client from connections if error persists
                 }
             }
         });
+        sendToRemoteSockets(remoteRecipients, data);
     }
 }
 
 
+// Admin and co-hosts: everyone who can act on ticket requests and prize claims
+function getConnectedHostSockets(room) {
+    const hosts = [room.admin, ...(room.cohosts || [])];
+    return hosts.filter(h => h && h.ws && h.ws.readyState === WebSocket.OPEN).map(h => h.ws);
+}
+
+function sendToRoomHosts(room, message, excludeWs = null) {
+    getConnectedHostSockets(room).forEach(hostWs => {
+        if (hostWs !== excludeWs) sendMessageToClient(hostWs, message);
+    });
+}
+
+
 function sendMessageToClient(ws, message) {
     if (ws && ws.readyState === WebSocket.OPEN) {
         try {
+            // Replies to the message being handled carry its requestId, so the client can match them up
+            if (activeRequest && activeRequest.ws === ws && activeRequest.requestId) message = { ...message, requestId: activeRequest.requestId };
             ws.send(JSON.stringify(message));
         } catch (e) {
             console.error('Send message error:', e);
@@ -169,172 +252,1626 @@ function sendMessageToClient(ws, message) {
     }
 }
 
-// --- Prize Validation Helper Functions --- (Copied from original, assuming they are okay)
-function getAllNumbersOnTicket(ticketNumbers) {
-    return ticketNumbers.flat().filter(num => num !== null);
-}
-function getNumbersInRow(ticketNumbers, rowIndex) {
-    if (rowIndex < 0 || rowIndex >= ticketNumbers.length) return [];
-    return ticketNumbers[rowIndex].filter(num => num !== null);
-}
-function allNumbersAreCalled(numbersToCheck, calledNumbers) {
-    if (!numbersToCheck || numbersToCheck.length === 0) return false;
-    return numbersToCheck.every(num => calledNumbers.includes(num));
-}
-function validatePrizeClaim(ticketNumbers, calledNumbers, prizeRuleName) {
-    const allTicketNums = getAllNumbersOnTicket(ticketNumbers);
-    if (allTicketNums.length === 0 && prizeRuleName !== 'Unlucky 1') return false; // Most prizes need numbers
-
-    switch (prizeRuleName) {
-        case 'Top Line':
-            return allNumbersAreCalled(getNumbersInRow(ticketNumbers, 0), calledNumbers);
-        case 'Middle Line':
-            return allNumbersAreCalled(getNumbersInRow(ticketNumbers, 1), calledNumbers);
-        case 'Bottom Line':
-            return allNumbersAreCalled(getNumbersInRow(ticketNumbers, 2), calledNumbers);
-        case 'Full House':
-            // A standard Tambola ticket aims for 15 numbers.
-            // If ticket generation is imperfect, check if all *present* numbers are called.
-            return allTicketNums.length > 0 && allNumbersAreCalled(allTicketNums, calledNumbers);
-        case 'Early 5': {
-            const markedCount = allTicketNums.filter(num => calledNumbers.includes(num)).length;
-            return markedCount >= 5;
+// code is one of protocol.ERROR_CODES; clients branch on it, the message is for people
+function sendError(ws, code, message, details = {}) {
+    sendMessageToClient(ws, { type: 'ERROR', payload: { code, message, ...details } });
+}
+
+// --- Event Log Helper Functions ---
+// Whoever sent the message being handled; the server itself for timers and grace periods
+function getCurrentActor() {
+    const connectionInfo = activeRequest && playerConnections.get(activeRequest.ws);
+    const room = connectionInfo && rooms[connectionInfo.roomId];
+    return (room && getChatSender(room, connectionInfo)) || SERVER_ACTOR;
+}
+
+// Callers persist the room as usual; the event rides along in the snapshot
+function logEvent(room, type, details = {}, by = getCurrentActor()) {
+    return appendEvent(room, { gameNumber: getCurrentGameNumber(room), type, by, ...details });
+}
+
+// --- Persistence Helper Functions ---
+// Snapshot is everything needed to resume a game; sockets and timers are rebuilt at runtime.
+function serializeRoom(room) {
+    const { admin, cohosts, players, spectators, autoCallTimerId, scheduleTimerId, ...rest } = room;
+    return {
+        ...rest,
+        admin: admin ? { id: admin.id, name: admin.name } : null,
+        cohosts: (cohosts || []).map(({ ws, ...cohostData }) => cohostData),
+        players: players.map(({ ws, ...playerData }) => playerData)
+    };
+}
+
+function persistRoom(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    roomBus.saveRoom(serializeRoom(room)).catch(e => console.error(`Failed to persist room ${roomId}:`, e));
+}
+
+function removePersistedRoom(roomId) {
+    roomBus.deleteRoom(roomId).catch(e => console.error(`Failed to remove persisted room ${roomId}:`, e));
+    roomBus.releaseLease(`room:${roomId}`).catch(e => console.error(`Failed to release room ${roomId}:`, e));
+}
+
+function startAutoCalling(roomId, callImmediately = false) {
+    const room = rooms[roomId];
+    if (!room) return;
+    if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
+    const autoCallFn = () => {
+        if (room.gameStatus === 'running' && room.callingMode === 'auto' && room.availableNumbers.length > 0) {
+            callNextNumberForRoom(roomId);
+            room.autoCallTimerId = setTimeout(autoCallFn, room.autoCallInterval * 1000);
+        } else {
+            if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
+            room.autoCallTimerId = null;
+        }
+    };
+    if (callImmediately) autoCallFn();
+    else room.autoCallTimerId = setTimeout(autoCallFn, room.autoCallInterval * 1000);
+}
+
+// Rebuilds a live room from its snapshot: nobody is connected yet, timers start again
+function restoreRoom(snapshot) {
+    rooms[snapshot.id] = {
+        ...snapshot,
+        admin: snapshot.admin ? { ...snapshot.admin, ws: null } : null,
+        cohosts: (snapshot.cohosts || []).map(c => ({ ...c, ws: null })),
+        players: (snapshot.players || []).map(p => ({ ...p, ws: null, isOnline: false, disconnectedAt: new Date().toISOString() })),
+        spectators: [],
+        autoCallTimerId: null,
+        scheduleTimerId: null
+    };
+    // Everyone is offline after a restart; give them the usual grace period to resume
+    rooms[snapshot.id].players.filter(p => !p.isWalkIn).forEach(p => schedulePlayerRemoval(snapshot.id, p.id));
+    if (snapshot.gameStatus === 'running' && snapshot.callingMode === 'auto') {
+        startAutoCalling(snapshot.id);
+    }
+    if (snapshot.schedule) runGameCountdown(snapshot.id); // Starts it now if the time passed while we were down
+    restoreBots(rooms[snapshot.id]);
+}
+
+async function restoreRoomsFromStorage() {
+    let snapshots = [];
+    try {
+        snapshots = await roomBus.listRooms();
+    } catch (e) {
+        console.error('Failed to load rooms from storage:', e);
+        return;
+    }
+    snapshots.forEach(restoreRoom);
+    console.log(`Restored ${snapshots.length} room(s) from '${storage.name}' storage.`);
+}
+
+// --- Roles & Permissions ---
+// Every privileged message maps to one permission; each role lists what it may do.
+const ROLE_PERMISSIONS = {
+    admin: ['controlGame', 'callNumbers', 'manageRules', 'manageRoom', 'approveTickets', 'adjudicateClaims', 'moderateChat', 'moderatePlayers', 'chat'],
+    cohost: ['approveTickets', 'adjudicateClaims', 'moderateChat', 'moderatePlayers', 'chat'],
+    player: ['requestTicket', 'claimPrize', 'markNumber', 'chat'],
+    spectator: [] // Read-only: receives room broadcasts, can't claim or request tickets
+};
+
+const MESSAGE_PERMISSIONS = {
+    ADMIN_START_GAME: 'controlGame',
+    ADMIN_SCHEDULE_GAME: 'controlGame',
+    ADMIN_CANCEL_SCHEDULED_GAME: 'controlGame',
+    ADMIN_PAUSE_GAME: 'controlGame',
+    ADMIN_RESUME_GAME: 'controlGame',
+    ADMIN_STOP_GAME: 'controlGame',
+    ADMIN_NEW_SESSION: 'controlGame',
+    ADMIN_CALL_NUMBER: 'callNumbers',
+    ADMIN_UPDATE_RULES: 'manageRules',
+    ADMIN_UPDATE_CLAIM_MODE: 'manageRules',
+    ADMIN_UPDATE_MARKING_MODE: 'manageRules',
+    ADMIN_UPDATE_TICKET_MODE: 'manageRules',
+    ADMIN_UPDATE_CLAIM_PENALTIES: 'manageRules',
+    ADMIN_UPDATE_ROOM_ACCESS: 'manageRoom',
+    ADMIN_UPDATE_TICKET_PRICE: 'manageRoom',
+    ADMIN_ADJUST_BALANCE: 'manageRoom',
+    ADMIN_EXPORT_LEDGER: 'manageRoom',
+    ADMIN_APPROVE_TICKET_REQUEST: 'approveTickets',
+    ADMIN_REJECT_TICKET_REQUEST: 'approveTickets',
+    ADMIN_APPROVE_ALL_TICKET_REQUESTS: 'approveTickets',
+    ADMIN_REVOKE_TICKET: 'approveTickets',
+    ADMIN_UPDATE_TICKET_LIMITS: 'manageRules',
+    ADMIN_UPDATE_CALL_PHRASES: 'manageRules',
+    ADMIN_APPROVE_PRIZE_CLAIM: 'adjudicateClaims',
+    ADMIN_REJECT_PRIZE_CLAIM: 'adjudicateClaims',
+    ADMIN_GENERATE_PAPER_TICKETS: 'approveTickets',
+    ADMIN_CHECK_PAPER_TICKET: 'adjudicateClaims',
+    ADMIN_AWARD_PAPER_CLAIM: 'adjudicateClaims',
+    PLAYER_REQUEST_TICKET: 'requestTicket',
+    PLAYER_CLAIM_PRIZE: 'claimPrize',
+    PLAYER_MARK_NUMBER: 'markNumber',
+    CHAT_SEND: 'chat',
+    CHAT_REACTION: 'chat',
+    ADMIN_MUTE_PLAYER: 'moderateChat',
+    ADMIN_KICK_PLAYER: 'moderatePlayers',
+    ADMIN_BAN_PLAYER: 'moderatePlayers',
+    ADMIN_UNBAN_PLAYER: 'moderatePlayers',
+    ADMIN_DELETE_CHAT_MESSAGE: 'moderateChat',
+    ADMIN_UPDATE_CHAT_SETTINGS: 'manageRoom',
+    ADMIN_ADD_BOTS: 'manageRoom',
+    ADMIN_REMOVE_BOTS: 'manageRoom',
+    ADMIN_UPDATE_BOT_PAYOUTS: 'manageRoom'
+};
+
+// Checks both that the connection still holds its role in the room and that the role grants the permission
+function hasPermission(connectionInfo, permission) {
+    if (!connectionInfo) return false;
+    const room = rooms[connectionInfo.roomId];
+    if (!room) return false;
+    const { type, playerId } = connectionInfo;
+    let holdsRole = false;
+    if (type === 'admin') holdsRole = !!room.admin && room.admin.id === playerId;
+    else if (type === 'cohost') holdsRole = (room.cohosts || []).some(c => c.id === playerId);
+    else if (type === 'player') holdsRole = room.players.some(p => p.id === playerId);
+    return holdsRole && (ROLE_PERMISSIONS[type] || []).includes(permission);
+}
+
+// --- Session Helper Functions ---
+function getPlayerListPayload(room) {
+    return room.players.map(p => ({ id: p.id, name: p.name, isBot: !!p.isBot, isWalkIn: !!p.isWalkIn, ticketCount: p.tickets.length, ticketIds: p.tickets.map(t => t.id), isOnline: !!p.isOnline, strikes: p.strikes || 0, chatMuted: isPlayerMuted(room, p.id) }));
+}
+
+function issueResumeToken(room, playerId, role) {
+    if (!room.sessionSecret) room.sessionSecret = generateSessionSecret(); // Rooms saved before tokens existed
+    return createResumeToken({ roomId: room.id, playerId, role }, room.sessionSecret);
+}
+
+// Tokens expire after RESUME_TOKEN_MAX_AGE_MS, so anyone connected that long gets a new one before theirs runs out
+function refreshResumeTokens() {
+    Object.values(rooms).forEach(room => {
+        const seats = [
+            { member: room.admin, role: 'admin' },
+            ...(room.cohosts || []).map(member => ({ member, role: 'cohost' })),
+            ...room.players.filter(p => !p.isBot).map(member => ({ member, role: 'player' }))
+        ];
+        seats.forEach(({ member, role }) => {
+            if (!member || !member.ws) return;
+            sendMessageToClient(member.ws, { type: 'RESUME_TOKEN_REFRESHED', payload: { resumeToken: issueResumeToken(room, member.id, role) } });
+        });
+    });
+}
+
+// The seed stays secret while the game runs; only its commitment is public until the game has ended
+function getPublicDrawInfo(room) {
+    if (!room.draw) return null;
+    const { seed, ...publicInfo } = room.draw;
+    return room.gameStatus === 'stopped' ? room.draw : publicInfo;
+}
+
+// Calls are numbered across the room's life, not per game, so a reconnecting client can say which call it saw last
+function getCallSequence(room) {
+    if (room.callSequence === undefined) room.callSequence = room.numbersCalled.length; // Rooms saved before sequences existed
+    return room.callSequence;
+}
+
+// Calls in the current game after lastCallSequence, oldest first
+function getMissedCalls(room, lastCallSequence) {
+    const firstSequence = getCallSequence(room) - room.numbersCalled.length + 1;
+    return room.numbersCalled
+        .map((number, i) => ({ sequence: firstSequence + i, number }))
+        .filter(call => call.sequence > lastCallSequence);
+}
+
+function buildPlayerJoinPayload(room, player) {
+    return {
+        playerId: player.id,
+        playerName: player.name,
+        roomId: room.id,
+        tickets: player.tickets,
+        coins: player.coins,
+        balance: player.balance || 0,
+        ticketPrice: room.ticketPrice || 0,
+        claims: player.claims || [],
+        strikes: player.strikes || 0,
+        maxTicketsPerPlayer: getMaxTicketsPerPlayer(room),
+        lockTicketsAfterFirstCall: !!room.lockTicketsAfterFirstCall,
+        ticketRequest: player.ticketRequest || null,
+        schedule: getPublicSchedule(room),
+        lockedPrizeRuleIds: player.lockedPrizeRuleIds || [],
+        markingMode: getMarkingMode(room),
+        gameStatus: room.gameStatus,
+        calledNumbers: room.numbersCalled,
+        callSequence: getCallSequence(room),
+        draw: getPublicDrawInfo(room),
+        session: buildSessionPayload(room),
+        rules: room.rules.filter(r => r.isActive),
+        totalMoneyCollected: room.totalMoneyCollected,
+        chat: getChatHistoryFor(room, player.id, false),
+        chatMuted: isPlayerMuted(room, player.id),
+        quickReactions: QUICK_REACTIONS,
+        adminName: room.admin.name,
+        playersInRoom: getPlayerListPayload(room),
+        resumeToken: issueResumeToken(room, player.id, 'player')
+    };
+}
+
+// Active prizes with how many winning slots are left; a tie shares one slot, as in findClaimWindow
+function getPrizeTable(room) {
+    return room.rules.filter(r => r.isActive).map(rule => {
+        const maxPrizes = parseInt(rule.maxPrizes, 10) || 1;
+        const slotsWon = new Set(room.winners.filter(w => w.prizeRuleId === rule.id).map(w => w.windowId || w.claimId)).size;
+        return { id: rule.id, name: rule.name, coinsPerPrize: rule.coinsPerPrize, maxPrizes, slotsWon, remaining: Math.max(maxPrizes - slotsWon, 0) };
+    });
+}
+
+// Everything a board needs to draw the room; no tickets, claims or player list
+function buildSpectatorPayload(room) {
+    return {
+        roomId: room.id,
+        adminName: room.admin.name,
+        gameStatus: room.gameStatus,
+        calledNumbers: room.numbersCalled,
+        callSequence: getCallSequence(room),
+        remainingCount: room.availableNumbers.length,
+        schedule: getPublicSchedule(room),
+        draw: getPublicDrawInfo(room),
+        rules: room.rules.filter(r => r.isActive),
+        prizeTable: getPrizeTable(room),
+        winners: room.winners,
+        totalMoneyCollected: room.totalMoneyCollected,
+        session: buildSessionPayload(room)
+    };
+}
+
+function getCohostListPayload(room) {
+    return (room.cohosts || []).map(c => ({ id: c.id, name: c.name, isConnected: !!(c.ws && c.ws.readyState === WebSocket.OPEN) }));
+}
+
+// Room state for the admin or a co-host (role decides which controls their UI enables)
+function buildAdminRoomPayload(room, host = room.admin, role = 'admin') {
+    return {
+        roomId: room.id,
+        role,
+        adminId: room.admin.id,
+        hostId: host.id,
+        hostName: host.name,
+        permissions: ROLE_PERMISSIONS[role],
+        adminName: room.admin.name,
+        cohosts: getCohostListPayload(room),
+        ...getRoomAccessPayload(room),
+        gameStatus: room.gameStatus,
+        schedule: getPublicSchedule(room),
+        players: getPlayerListPayload(room),
+        excludeBotsFromPayouts: !!room.excludeBotsFromPayouts,
+        paperTickets: getPaperTickets(room),
+        rules: room.rules, // Send current rules
+        totalMoneyCollected: room.totalMoneyCollected,
+        ticketPrice: room.ticketPrice || 0,
+        pendingSales: getUnassignedSales(room),
+        ledger: room.ledger || [],
+        calledNumbers: room.numbersCalled,
+        callSequence: getCallSequence(room),
+        draw: getPublicDrawInfo(room),
+        session: buildSessionPayload(room),
+        callingMode: room.callingMode, // Send calling mode
+        claimMode: room.claimMode || 'manual',
+        markingMode: getMarkingMode(room),
+        ticketMode: room.ticketMode || 'single',
+        maxTicketsPerPlayer: getMaxTicketsPerPlayer(room),
+        customMaxTicketsPerPlayer: room.maxTicketsPerPlayer || null,
+        lockTicketsAfterFirstCall: !!room.lockTicketsAfterFirstCall,
+        callPhrases: room.callPhrases || { packId: DEFAULT_PHRASE_PACK, overrides: {} },
+        phrasePacks: listPhrasePacks(),
+        pendingTicketRequests: getPendingTicketRequests(room),
+        chat: getChatHistoryFor(room, host.id, true),
+        chatSettings: { filterProfanity: getChatState(room).filterProfanity },
+        quickReactions: QUICK_REACTIONS,
+        bogeyRules: getBogeyRules(room),
+        claimRateLimit: getClaimRateLimit(room),
+        winners: room.winners,
+        resumeToken: issueResumeToken(room, host.id, role)
+    };
+}
+
+// Moves a player's seat onto a new socket. An older socket for the same seat is told and closed.
+function attachPlayerSocket(room, player, ws) {
+    const previousWs = player.ws;
+    if (previousWs && previousWs !== ws) {
+        playerConnections.delete(previousWs);
+        sendMessageToClient(previousWs, { type: 'INFO', payload: { message: 'You have reconnected from another window.' } });
+        previousWs.close(4000, 'Session resumed elsewhere');
+    }
+    if (playerGraceTimers.has(player.id)) {
+        clearTimeout(playerGraceTimers.get(player.id));
+        playerGraceTimers.delete(player.id);
+    }
+    player.ws = ws;
+    player.isOnline = true;
+    delete player.disconnectedAt;
+    playerConnections.set(ws, { roomId: room.id, playerId: player.id, type: 'player', ws });
+}
+
+function schedulePlayerRemoval(roomId, playerId) {
+    if (playerGraceTimers.has(playerId)) clearTimeout(playerGraceTimers.get(playerId));
+    playerGraceTimers.set(playerId, setTimeout(() => {
+        playerGraceTimers.delete(playerId);
+        claimTimestamps.delete(playerId);
+        chatTimestamps.delete(playerId);
+        const room = rooms[roomId];
+        if (!room) return;
+        const playerIndex = room.players.findIndex(p => p.id === playerId && !p.isOnline);
+        if (playerIndex === -1) return;
+        const playerName = room.players[playerIndex].name;
+        room.players.splice(playerIndex, 1);
+        logEvent(room, 'PLAYER_LEFT', { playerId, playerName, reason: 'Did not return within the grace period' });
+        persistRoom(roomId);
+        broadcastToRoom(roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+        console.log(`Player ${playerName} (ID: ${playerId}) did not return within the grace period and was removed from room ${roomId}`);
+        cleanupRoomIfEmpty(roomId);
+    }, PLAYER_GRACE_PERIOD_MS));
+}
+
+function cleanupRoomIfEmpty(roomId) {
+    const room = rooms[roomId];
+    // Rooms set up through the REST API wait for their admin and are only removed by closing them; scheduled games wait for their start
+    // Bots don't keep a room alive on their own
+    if (room && !room.keepWhenEmpty && !room.schedule && room.players.every(p => p.isBot) && (!room.admin || !room.admin.ws)) {
+        console.log(`Room ${roomId} is empty and admin disconnected, cleaning up.`);
+        if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
+        closeBots(room);
+        delete rooms[roomId];
+        removePersistedRoom(roomId);
+    }
+}
+
+// --- Room Lifecycle Helper Functions ---
+// options: { adminName, adminWs, adminSecret, joinCode, cohostCode, keepWhenEmpty }
+function createRoom(roomId, options) {
+    const { adminName, adminWs = null, adminSecret, joinCode, cohostCode, keepWhenEmpty = false } = options;
+    rooms[roomId] = {
+        id: roomId,
+        admin: { id: generateUniqueId(), name: adminName, ws: adminWs },
+        cohosts: [], // { id, name, ws } - can approve tickets and claims only
+        players: [],
+        spectators: [], // { id, ws } - read-only displays, never persisted or listed as players
+        numbersCalled: [],
+        callSequence: 0, // Total calls ever made in this room, see getCallSequence
+        availableNumbers: Array.from({ length: 90 }, (_, i) => i + 1),
+        gameStatus: 'idle', // 'idle', 'running', 'paused', 'stopped'
+        rules: [],
+        totalMoneyCollected: 0,
+        ticketPrice: 0, // When above 0 every issued ticket is a ledger purchase and the prize pool comes from sales
+        ledger: [], // See ledger.js
+        callingMode: 'manual',
+        claimMode: 'manual', // 'manual', 'auto', 'assisted' - see Claim Adjudication helpers
+        markingMode: 'auto', // 'auto' or 'daub' - see Marking helpers
+        ticketMode: 'single', // 'single' or 'strip' (6 tickets covering 1-90)
+        maxTicketsPerPlayer: null, // null = default for the ticket mode
+        lockTicketsAfterFirstCall: false,
+        bogeyRules: { ...DEFAULT_BOGEY_RULES },
+        claimRateLimit: { ...DEFAULT_CLAIM_RATE_LIMIT },
+        autoCallInterval: 5, // seconds
+        callPhrases: { packId: DEFAULT_PHRASE_PACK, overrides: {} }, // What gets spoken for each call, see callPhrases.js
+        chat: createChatState(), // History, muted players and the profanity filter, see chat.js
+        createdAt: new Date().toISOString(),
+        winners: [],
+        claimWindows: {}, // windowId -> tie group for a rule on one called number
+        gamesCompleted: 0, // Numbers the archived game records
+        session: createSession(), // Ordered rounds and their archives, see Session helpers
+        roundTicketPolicy: 'keep', // 'keep' or 'reissue' tickets when the next round starts
+        keepWhenEmpty,
+        sessionSecret: generateSessionSecret(), // Signs resume tokens for this room
+        adminSecretHash: adminSecret ? hashSecret(adminSecret) : null, // Optional, required to (re)join as admin
+        joinCode: joinCode ? String(joinCode).trim() : '', // Optional, players must enter it to join
+        maxPlayers: null, // null = no limit
+        lockJoinsDuringGame: false, // Refuse new players while a game is running or paused
+        cohostCodeHash: cohostCode ? hashSecret(cohostCode) : null, // Optional, enables co-host joins
+        excludeBotsFromPayouts: false, // Bot wins still use up the prize, but pay nothing; see Bot helpers
+        schedule: null, // Scheduled start, see Scheduled Start helpers
+        autoCallTimerId: null, // For server-side auto-call
+        scheduleTimerId: null // Countdown ticks until the scheduled start
+    };
+    persistRoom(roomId);
+    return rooms[roomId];
+}
+
+// Checks the settings a game is started (or scheduled) with; returns { code, message } or null
+function validateGameSettings(settings) {
+    if (!settings.rulesConfig || settings.rulesConfig.filter(r => r.isActive).length === 0) {
+        return { code: ERROR_CODES.INVALID_VALUE, message: 'Cannot start game without active rules.' };
+    }
+    const patternError = validateRulePatterns(settings.rulesConfig);
+    if (patternError) return { code: ERROR_CODES.INVALID_VALUE, message: patternError };
+    if (settings.totalMoneyCollected === undefined || parseFloat(settings.totalMoneyCollected) < 0) { // Allow 0 for free games
+        return { code: ERROR_CODES.INVALID_VALUE, message: 'Invalid total money collected.' };
+    }
+    if (settings.roundTicketPolicy !== undefined && !ROUND_TICKET_POLICIES.includes(settings.roundTicketPolicy)) {
+        return { code: ERROR_CODES.INVALID_VALUE, message: `Unknown ticket policy "${settings.roundTicketPolicy}".` };
+    }
+    return null;
+}
+
+// Starts the next game. settings: { rulesConfig, totalMoneyCollected, callingMode, autoCallInterval, roundTicketPolicy }
+// as sent with ADMIN_START_GAME, or saved by a schedule. Returns { ok, code, message }.
+function startGame(room, settings) {
+    if (room.gameStatus !== 'idle' && room.gameStatus !== 'stopped') {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: `Game cannot be started. Current status: ${room.gameStatus}` };
+    }
+    const settingsError = validateGameSettings(settings);
+    if (settingsError) return { ok: false, ...settingsError };
+
+    clearScheduledStart(room); // Done counting down, or a start by hand replaces the scheduled one
+    if (settings.roundTicketPolicy !== undefined) room.roundTicketPolicy = settings.roundTicketPolicy;
+    // Tickets carry over between rounds unless the host asked for fresh ones
+    if (getSession(room).rounds.length > 0 && room.roundTicketPolicy === 'reissue') reissueTicketsForRound(room);
+
+    room.gameStatus = 'running';
+    room.gameStartedAt = new Date().toISOString();
+    room.numbersCalled = [];
+    const drawSeed = createDrawSeed();
+    room.draw = { algorithm: DRAW_ALGORITHM, commitment: commitToSeed(drawSeed), seed: drawSeed };
+    room.availableNumbers = buildDrawSequence(drawSeed); // Calls come off the front in this order
+    room.rules = settings.rulesConfig; // Admin client sends the rules with calculated coinsPerPrize
+    if (room.ticketPrice > 0) {
+        // Paid rooms: the pool is what this game's tickets actually sold for, split by baseWeight
+        room.totalMoneyCollected = assignSalesToGame(room, getCurrentGameNumber(room));
+        splitPrizePool(room.rules, room.totalMoneyCollected);
+    } else {
+        room.totalMoneyCollected = parseFloat(settings.totalMoneyCollected);
+    }
+    room.callingMode = settings.callingMode || 'manual';
+    room.autoCallInterval = parseInt(settings.autoCallInterval, 10) || 5;
+    room.winners = []; // Reset winners for a new game
+    room.claimWindows = {};
+    room.players.forEach(p => { // Claims, marks and bogey strikes are per game
+        p.claims = [];
+        p.strikes = 0;
+        p.lockedPrizeRuleIds = [];
+        p.tickets.forEach(t => { t.marked = []; t.strikes = 0; t.cancelled = false; });
+        claimTimestamps.delete(p.id);
+    });
+    if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId); // Clear any old timer
+    logEvent(room, 'GAME_STARTED', {
+        rules: room.rules.filter(r => r.isActive),
+        callingMode: room.callingMode,
+        claimMode: room.claimMode || 'manual',
+        markingMode: getMarkingMode(room),
+        totalMoneyCollected: room.totalMoneyCollected,
+        draw: getPublicDrawInfo(room),
+        tickets: room.players.flatMap(p => p.tickets.map(t => ({ playerId: p.id, playerName: p.name, ticketId: t.id, numbers: t.numbers })))
+    });
+    persistRoom(room.id);
+
+    broadcastToRoom(room.id, {
+        type: 'GAME_STARTED',
+        payload: {
+            rules: room.rules.filter(r => r.isActive),
+            callingMode: room.callingMode,
+            autoCallInterval: room.autoCallInterval,
+            totalMoneyCollected: room.totalMoneyCollected,
+            draw: getPublicDrawInfo(room), // Commitment only
+            startTime: new Date().toISOString(),
+            adminName: room.admin.name // For player display
+        }
+    });
+    console.log(`Game started in room ${room.id} by ${getCurrentActor().name || 'the schedule'}. Mode: ${room.callingMode}`);
+    if (room.callingMode === 'auto' && room.gameStatus === 'running') {
+        startAutoCalling(room.id); // Initial call after interval
+    }
+    return { ok: true };
+}
+
+// Archives the game that just ended as the session's next round and returns its summary for GAME_SUMMARY_BROADCAST
+function recordCompletedGame(room) {
+    closeClaimWindows(room);
+    const session = getSession(room);
+    const summary = buildGameSummary(room);
+    logEvent(room, 'GAME_ENDED', { calledNumbers: [...room.numbersCalled], winners: summary.winners });
+    const events = takeGameEvents(room);
+    room.gamesCompleted = (room.gamesCompleted || 0) + 1;
+    const record = {
+        id: `${room.id}:${room.gamesCompleted}`,
+        roomId: room.id,
+        gameNumber: room.gamesCompleted,
+        sessionId: session.id,
+        roundNumber: session.rounds.length + 1,
+        startedAt: room.gameStartedAt || null,
+        endedAt: new Date().toISOString(),
+        summary,
+        events // Everything since the previous game ended, see eventLog.js
+    };
+    session.rounds.push({
+        roundNumber: record.roundNumber,
+        gameId: record.id,
+        gameNumber: record.gameNumber,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        calledNumbers: [...room.numbersCalled],
+        draw: summary.draw,
+        winners: summary.winners,
+        payouts: getRoundPayouts(room)
+    });
+    summary.roundNumber = record.roundNumber;
+    summary.leaderboard = buildSessionLeaderboard(room);
+    roomBus.saveGame(record).catch(e => console.error(`Failed to archive game ${record.id}:`, e));
+    persistRoom(room.id);
+    return summary;
+}
+
+// --- Session Helper Functions ---
+// A session is an evening of back-to-back rounds in one room. Each finished game is archived as a round
+// (called sequence, winners, payouts) and the leaderboard adds the payouts up across rounds.
+const ROUND_TICKET_POLICIES = ['keep', 'reissue'];
+
+function createSession() {
+    return { id: generateUniqueId(), startedAt: new Date().toISOString(), rounds: [], bans: [] }; // Bans last until the next session
+}
+
+function getSession(room) {
+    if (!room.session) room.session = createSession(); // Rooms saved before sessions existed
+    return room.session;
+}
+
+// Prize coins per player for the game that just ended
+function getRoundPayouts(room) {
+    const payouts = {};
+    room.winners.forEach(w => {
+        if (!payouts[w.playerId]) payouts[w.playerId] = { playerId: w.playerId, playerName: w.playerName, coins: 0, prizes: [] };
+        payouts[w.playerId].coins = parseFloat((payouts[w.playerId].coins + (w.coins || 0)).toFixed(2));
+        payouts[w.playerId].prizes.push(w.prizeName);
+    });
+    return Object.values(payouts);
+}
+
+// LEADERBOARD_ENTRY_TYPES: what a player won or lost in the rounds. Adjustments settle balances (cash in, payouts)
+// rather than score anything, so they stay out.
+const LEADERBOARD_ENTRY_TYPES = ['ticket_purchase', 'prize', 'penalty', 'refund'];
+
+// totalCoins is each player's net over the session's rounds from the ledger: prizes less bogey penalties and tickets
+function buildSessionLeaderboard(room) {
+    const standings = {};
+    const standingFor = (playerId, playerName) => standings[playerId] || (standings[playerId] = { playerId, playerName, totalCoins: 0, prizesWon: 0, roundsWon: 0 });
+    room.players.forEach(p => standingFor(p.id, p.name));
+    const rounds = getSession(room).rounds;
+    // Rounds archived before they carried gameNumber still have it at the end of gameId
+    const gameNumbers = rounds.map(round => round.gameNumber || parseInt(String(round.gameId).split(':').pop(), 10));
+    (room.ledger || []).forEach(entry => {
+        if (!LEADERBOARD_ENTRY_TYPES.includes(entry.type) || !gameNumbers.includes(entry.gameNumber)) return;
+        const standing = standingFor(entry.playerId, entry.playerName);
+        standing.totalCoins = roundMoney(standing.totalCoins + entry.amount);
+    });
+    rounds.forEach(round => round.payouts.forEach(payout => {
+        const standing = standingFor(payout.playerId, payout.playerName);
+        standing.prizesWon += payout.prizes.length;
+        standing.roundsWon += 1;
+    }));
+    return Object.values(standings).sort((a, b) => b.totalCoins - a.totalCoins || b.prizesWon - a.prizesWon || a.playerName.localeCompare(b.playerName));
+}
+
+function buildSessionPayload(room) {
+    const session = getSession(room);
+    return {
+        sessionId: session.id,
+        startedAt: session.startedAt,
+        roundsPlayed: session.rounds.length,
+        rounds: session.rounds,
+        roundTicketPolicy: room.roundTicketPolicy || 'keep',
+        leaderboard: buildSessionLeaderboard(room)
+    };
+}
+
+// New tickets for the next round, as many as each player held (strip mode deals from a fresh strip).
+// Paper tickets are already printed, so the walk-in seat keeps its own.
+function reissueTicketsForRound(room) {
+    room.players.filter(p => !p.isWalkIn).forEach(player => {
+        const count = Math.max(player.tickets.length, 1);
+        delete player.strip;
+        player.tickets = [];
+        for (let i = 0; i < count; i++) player.tickets.push(sellTicket(room, player));
+        if (player.ws) sendMessageToClient(player.ws, { type: 'TICKETS_REISSUED', payload: { tickets: player.tickets } });
+    });
+}
+
+function clearRoomTimers(room) {
+    if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
+    room.autoCallTimerId = null;
+    if (room.scheduleTimerId) clearTimeout(room.scheduleTimerId);
+    room.scheduleTimerId = null;
+    room.players.forEach(p => {
+        if (playerGraceTimers.has(p.id)) clearTimeout(playerGraceTimers.get(p.id));
+        playerGraceTimers.delete(p.id);
+        claimTimestamps.delete(p.id);
+        chatTimestamps.delete(p.id);
+    });
+}
+
+function getRoomSockets(room) {
+    return [room.admin, ...(room.cohosts || []), ...room.players, ...(room.spectators || [])].map(m => m && m.ws).filter(Boolean);
+}
+
+// Ends the room for everyone: sockets are told and closed, timers cleared, the snapshot removed
+function closeRoom(roomId, reason = 'This room has been closed.') {
+    const room = rooms[roomId];
+    if (!room) return false;
+    clearRoomTimers(room);
+    getRoomSockets(room).forEach(memberWs => {
+        playerConnections.delete(memberWs);
+        sendMessageToClient(memberWs, { type: 'ROOM_CLOSED', payload: { message: reason } });
+        memberWs.close(4002, 'Room closed');
+    });
+    delete rooms[roomId];
+    removePersistedRoom(roomId);
+    console.log(`Room ${roomId} closed: ${reason}`);
+    return true;
+}
+
+// --- Scheduled Start Helper Functions ---
+// room.schedule: { startAt, ticketCutoffAt, callingMode, autoCallInterval, roundTicketPolicy, scheduledBy } or null.
+// The game starts with the room's saved rules and prize money as they are at start time, so edits after scheduling count.
+// The room's owner runs the countdown and starts the game itself; no host needs to be connected.
+const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const LATE_START_LIMIT_MS = 15 * 60 * 1000; // Server down at the start time for longer than this: cancel instead of starting late
+
+// GAME_COUNTDOWN every second in the last minute, every 10 seconds in the last hour, every minute before that
+function getCountdownTickMs(msLeft) {
+    if (msLeft <= 60 * 1000) return 1000;
+    if (msLeft <= 60 * 60 * 1000) return 10 * 1000;
+    return 60 * 1000;
+}
+
+function isTicketCutoffPassed(room) {
+    return !!room.schedule && Date.now() >= Date.parse(room.schedule.ticketCutoffAt);
+}
+
+// What everyone in the room sees, and the GAME_COUNTDOWN payload
+function getPublicSchedule(room) {
+    if (!room.schedule) return null;
+    const { startAt, ticketCutoffAt, callingMode } = room.schedule;
+    return {
+        startAt,
+        ticketCutoffAt,
+        callingMode,
+        secondsLeft: Math.max(Math.ceil((Date.parse(startAt) - Date.now()) / 1000), 0),
+        ticketsOpen: !isTicketCutoffPassed(room)
+    };
+}
+
+// Returns { ok, code, message }. A new schedule replaces the old one.
+function scheduleGame(room, settings, startAt, ticketCutoffMinutes = 0) {
+    if (room.gameStatus !== 'idle' && room.gameStatus !== 'stopped') {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: 'A game is in progress. Schedule the next one after it ends.' };
+    }
+    const startTime = Date.parse(startAt);
+    if (Number.isNaN(startTime)) return { ok: false, code: ERROR_CODES.INVALID_VALUE, message: 'Start time is not a valid date.' };
+    if (startTime <= Date.now()) return { ok: false, code: ERROR_CODES.INVALID_VALUE, message: 'Start time must be in the future.' };
+    if (startTime > Date.now() + MAX_SCHEDULE_AHEAD_MS) return { ok: false, code: ERROR_CODES.INVALID_VALUE, message: 'Games can be scheduled at most 30 days ahead.' };
+    const settingsError = validateGameSettings(settings);
+    if (settingsError) return { ok: false, ...settingsError };
+
+    // Saved like ADMIN_UPDATE_RULES, so players see the prizes while they wait
+    room.rules = settings.rulesConfig;
+    room.totalMoneyCollected = parseFloat(settings.totalMoneyCollected);
+    if (room.scheduleTimerId) clearTimeout(room.scheduleTimerId);
+    room.schedule = {
+        startAt: new Date(startTime).toISOString(),
+        ticketCutoffAt: new Date(startTime - ticketCutoffMinutes * 60 * 1000).toISOString(),
+        callingMode: settings.callingMode || 'manual',
+        autoCallInterval: parseInt(settings.autoCallInterval, 10) || 5,
+        roundTicketPolicy: settings.roundTicketPolicy,
+        scheduledBy: getCurrentActor().name || null
+    };
+    logEvent(room, 'GAME_SCHEDULED', { startAt: room.schedule.startAt, ticketCutoffAt: room.schedule.ticketCutoffAt, callingMode: room.schedule.callingMode });
+    persistRoom(room.id);
+    broadcastToRoom(room.id, { type: 'RULES_UPDATED', payload: { rules: room.rules.filter(r => r.isActive), totalMoneyCollected: room.totalMoneyCollected } });
+    console.log(`Game scheduled in room ${room.id} for ${room.schedule.startAt}.`);
+    runGameCountdown(room.id);
+    return { ok: true, message: `Game scheduled for ${room.schedule.startAt}.` };
+}
+
+// Drops the schedule without telling anyone; startGame uses it when the game starts
+function clearScheduledStart(room) {
+    if (room.scheduleTimerId) clearTimeout(room.scheduleTimerId);
+    room.scheduleTimerId = null;
+    room.schedule = null;
+}
+
+function cancelScheduledGame(room, reason) {
+    if (!room.schedule) return false;
+    clearScheduledStart(room);
+    logEvent(room, 'GAME_SCHEDULE_CANCELLED', { reason });
+    persistRoom(room.id);
+    broadcastToRoom(room.id, { type: 'GAME_SCHEDULE_CANCELLED', payload: { message: reason } });
+    console.log(`Scheduled game in room ${room.id} cancelled: ${reason}`);
+    return true;
+}
+
+// One countdown tick; schedules the next one and starts the game when the time comes
+function runGameCountdown(roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.schedule) return;
+    if (room.scheduleTimerId) clearTimeout(room.scheduleTimerId);
+    room.scheduleTimerId = null;
+    const msLeft = Date.parse(room.schedule.startAt) - Date.now();
+    if (msLeft < -LATE_START_LIMIT_MS) {
+        cancelScheduledGame(room, 'The server was unavailable at the scheduled start time. The host can start the game instead.');
+        return;
+    }
+    if (msLeft <= 0) {
+        startScheduledGame(room);
+        return;
+    }
+    broadcastToRoom(roomId, { type: 'GAME_COUNTDOWN', payload: getPublicSchedule(room) });
+    const tickMs = getCountdownTickMs(msLeft);
+    let delay = msLeft % tickMs || tickMs; // Ticks land on whole seconds/minutes before the start
+    const msToCutoff = Date.parse(room.schedule.ticketCutoffAt) - Date.now();
+    if (msToCutoff > 0) delay = Math.min(delay, msToCutoff); // Extra tick so everyone sees ticket requests close
+    room.scheduleTimerId = setTimeout(() => runGameCountdown(roomId), delay);
+}
+
+function startScheduledGame(room) {
+    const { callingMode, autoCallInterval, roundTicketPolicy } = room.schedule;
+    const result = startGame(room, { rulesConfig: room.rules, totalMoneyCollected: room.totalMoneyCollected, callingMode, autoCallInterval, roundTicketPolicy });
+    if (!result.ok) cancelScheduledGame(room, `The scheduled game could not start: ${result.message}`);
+}
+
+// --- Bot Helper Functions ---
+// Bots are players whose socket lives in this process (see bots.js). They join, ask for tickets and claim through the
+// usual messages, so hosts approve them like anyone else. They stay on the node that owns the room, and come back from
+// the snapshot after a restart or when another node adopts the room.
+const MAX_BOTS_PER_ROOM = 50;
+const joiningBots = new Set(); // Bot sockets sent in but not seated yet, so a second ADMIN_ADD_BOTS doesn't reuse their names
+
+function getBots(room) {
+    return room.players.filter(p => p.isBot);
+}
+
+function isPayoutExcluded(room, playerId) {
+    const player = room.players.find(p => p.id === playerId);
+    return !!room.excludeBotsFromPayouts && !!player && !!player.isBot;
+}
+
+// Whether the claim would pass the server's own checks right now (pattern, and a prize left to win); the bot's "have I won?"
+function isWinningClaim(room, playerId, ticketId, prizeRuleId) {
+    const player = room && room.players.find(p => p.id === playerId);
+    const ticket = player && player.tickets.find(t => t.id === ticketId);
+    const rule = ticket && room.rules.find(r => r.id === prizeRuleId && r.isActive);
+    if (!rule || room.gameStatus !== 'running' || ticket.cancelled) return false;
+    const claimCalls = getClaimCalls(room, ticket);
+    const completionIndex = getClaimCompletionIndex(ticket.numbers, claimCalls, rule, room);
+    return completionIndex >= 0 && findWindowSlot(room, rule, completionIndex, room.numbersCalled.length).ok;
+}
+
+function createBotSocket(roomId, settings) {
+    const bot = new BotSocket(settings, (ticketId, prizeRuleId) => {
+        const connectionInfo = playerConnections.get(bot);
+        return !!connectionInfo && isWinningClaim(rooms[roomId], connectionInfo.playerId, ticketId, prizeRuleId);
+    });
+    handleConnection(bot);
+    joiningBots.add(bot);
+    bot.once('joined', () => joiningBots.delete(bot));
+    bot.on('close', () => joiningBots.delete(bot));
+    return bot;
+}
+
+// Returns how many bots were sent in; each still has to pass the usual join checks (room full, locked...)
+function addBots(room, count, settings) {
+    const joining = [...joiningBots].filter(bot => bot.roomId === room.id);
+    const names = new Set([...room.players.map(p => p.name), ...joining.map(bot => bot.playerName)]);
+    const toAdd = Math.min(count, MAX_BOTS_PER_ROOM - getBots(room).length - joining.length);
+    let number = 1;
+    for (let i = 0; i < toAdd; i++) {
+        while (names.has(`Bot ${number}`)) number++;
+        names.add(`Bot ${number}`);
+        createBotSocket(room.id, settings).join(room.id, `Bot ${number}`, room.joinCode);
+    }
+    return Math.max(toAdd, 0);
+}
+
+function restoreBots(room) {
+    getBots(room).forEach(p => createBotSocket(room.id, p.botSettings).resume(issueResumeToken(room, p.id, 'player')));
+}
+
+// Closes the bots' sockets without removing their seats
+function closeBots(room) {
+    getBots(room).forEach(p => {
+        if (!p.ws) return;
+        playerConnections.delete(p.ws);
+        p.ws.close();
+    });
+}
+
+// --- Paper Ticket Helper Functions ---
+// Printed tickets for people playing on paper. They're held by the room's walk-in seat: a player that never connects,
+// isn't removed for being offline, and collects the prizes its tickets win (winners and the event log show which serial won what).
+// The host checks a shouted claim by typing the serial, and pays it like any online claim once the check code matches.
+const WALK_IN_NAME = 'Walk-in';
+const MAX_PAPER_TICKETS = 1000; // Per room
+
+function getWalkInHolder(room) {
+    let holder = room.players.find(p => p.isWalkIn);
+    if (!holder) {
+        holder = { id: generateUniqueId(), name: WALK_IN_NAME, ws: null, tickets: [], coins: 0, claims: [], deviceId: null, isOnline: false, isWalkIn: true };
+        room.players.push(holder);
+        logEvent(room, 'PLAYER_JOINED', { playerId: holder.id, playerName: holder.name, isWalkIn: true });
+    }
+    return holder;
+}
+
+// For printing (again): what's on each sheet
+function getPaperTickets(room) {
+    const holder = room.players.find(p => p.isWalkIn);
+    return holder ? holder.tickets.map(t => ({ ticketId: t.id, serial: formatSerial(t.serial), checkCode: t.checkCode, numbers: t.numbers })) : [];
+}
+
+function findPaperTicket(room, serialInput) {
+    const holder = room.players.find(p => p.isWalkIn);
+    const serial = normalizeCode(serialInput);
+    const ticket = holder && holder.tickets.find(t => t.serial === serial);
+    return ticket ? { holder, ticket } : null;
+}
+
+// Sold like any other ticket (a purchase at the room's price, on the walk-in seat). Returns { ok, code, message, tickets }.
+function generatePaperTickets(room, count) {
+    if (areTicketsLocked(room) || isTicketCutoffPassed(room)) {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: 'Tickets are closed for this game.' };
+    }
+    const existing = getPaperTickets(room).length;
+    if (existing + count > MAX_PAPER_TICKETS) {
+        return { ok: false, code: ERROR_CODES.LIMIT_REACHED, message: `A room can have at most ${MAX_PAPER_TICKETS} paper tickets (${existing} printed so far).` };
+    }
+    const holder = getWalkInHolder(room);
+    const serials = new Set(holder.tickets.map(t => t.serial));
+    const tickets = [];
+    for (let i = 0; i < count; i++) {
+        const ticket = sellTicket(room, holder);
+        ticket.serial = generateSerial(serial => serials.has(serial));
+        ticket.checkCode = generateCheckCode();
+        serials.add(ticket.serial);
+        holder.tickets.push(ticket);
+        tickets.push({ ticketId: ticket.id, serial: formatSerial(ticket.serial), checkCode: ticket.checkCode, numbers: ticket.numbers });
+    }
+    return { ok: true, tickets };
+}
+
+// Where the ticket stands on each active prize, judged against every number called so far (paper has no marks)
+function getPaperTicketPrizes(room, holder, ticket) {
+    return room.rules.filter(r => r.isActive).map(rule => {
+        const alreadyWon = (holder.claims || []).some(c => c.ticketId === ticket.id && c.prizeRuleId === rule.id && c.status === 'approved');
+        return {
+            prizeRuleId: rule.id,
+            prizeName: rule.name,
+            complete: room.gameStatus === 'running' && validatePrizeClaim(ticket.numbers, room.numbersCalled, rule, room),
+            alreadyWon,
+            available: findClaimWindow(room, rule, ticket.numbers).ok
+        };
+    });
+}
+
+// Returns { ok, code, message, coinsAwarded }
+function awardPaperClaim(room, serialInput, checkCode, prizeRuleId) {
+    const found = findPaperTicket(room, serialInput);
+    if (!found) return { ok: false, code: ERROR_CODES.NOT_FOUND, message: `No paper ticket with serial ${serialInput}.` };
+    const { holder, ticket } = found;
+    if (!checkCodeMatches(ticket, checkCode)) return { ok: false, code: ERROR_CODES.INVALID_CREDENTIALS, message: 'The check code does not match this serial. The ticket may not be genuine.' };
+    if (room.gameStatus !== 'running') return { ok: false, code: ERROR_CODES.INVALID_STATE, message: 'Game is not currently running.' };
+    const rule = room.rules.find(r => r.id === prizeRuleId && r.isActive);
+    if (!rule) return { ok: false, code: ERROR_CODES.NOT_FOUND, message: 'That prize is not in this game.' };
+    const prize = getPaperTicketPrizes(room, holder, ticket).find(p => p.prizeRuleId === rule.id);
+    if (prize.alreadyWon) return { ok: false, code: ERROR_CODES.ALREADY_CLAIMED, message: `Ticket ${formatSerial(ticket.serial)} has already won '${rule.name}'.` };
+    if (!prize.complete) return { ok: false, code: ERROR_CODES.INVALID_VALUE, message: `Ticket ${formatSerial(ticket.serial)} does not have '${rule.name}' with the numbers called so far.` };
+    if (!prize.available) return { ok: false, code: ERROR_CODES.LIMIT_REACHED, message: `Max winners already reached for '${rule.name}'.` };
+
+    const claimId = generateUniqueId();
+    if (!holder.claims) holder.claims = [];
+    holder.claims.push({
+        claimId, prizeRuleId: rule.id, prizeName: rule.name, ticketId: ticket.id, paperSerial: ticket.serial,
+        status: 'pending_admin_approval', reason: '', serverValid: true, markedNumbers: [], callCount: room.numbersCalled.length
+    });
+    logEvent(room, 'CLAIM_SUBMITTED', {
+        claimId, playerId: holder.id, playerName: holder.name, prizeRuleId: rule.id, prizeName: rule.name,
+        ticketId: ticket.id, ticketNumbers: ticket.numbers, paperSerial: formatSerial(ticket.serial), serverValid: true
+    });
+    const result = approvePrizeClaim(room, holder, rule, claimId);
+    if (!result.ok) return result;
+    if (result.awaitingDraw) return { ok: true, message: `Ticket ${formatSerial(ticket.serial)} is in the draw for '${rule.name}', made when the next number is called.`, coinsAwarded: 0 };
+    return { ok: true, message: `Paid '${rule.name}' to ticket ${formatSerial(ticket.serial)}: ${result.coinsAwarded.toFixed(2)} coins.`, coinsAwarded: result.coinsAwarded };
+}
+
+// --- Cluster Helper Functions ---
+// With a shared room bus (ROOM_BUS=redis) several nodes run behind one address. Each room lives in memory on the node
+// holding its lease, which runs its game logic and auto-call timer. A socket connected to another node ("gateway")
+// has its messages relayed to the owner over the bus; the owner treats it as a RemoteSocket and sends replies back the same way.
+// If the owner stops renewing (crash, lost connection) another node adopts the room from its snapshot and the old
+// sockets are closed with 1012, so clients reconnect and resume.
+
+class RemoteSocket extends EventEmitter {
+    constructor(gatewayId, connectionId) {
+        super();
+        this.isRemote = true;
+        this.gatewayId = gatewayId;
+        this.connectionId = connectionId;
+        this.readyState = WebSocket.OPEN;
+    }
+
+    send(data) {
+        sendToRemoteSockets([this], data);
+    }
+
+    close(code, reason) {
+        if (this.readyState !== WebSocket.OPEN) return;
+        this.readyState = WebSocket.CLOSED;
+        remoteSockets.delete(`${this.gatewayId}/${this.connectionId}`);
+        roomBus.publish(`node:${this.gatewayId}`, { kind: 'close', connectionId: this.connectionId, code, reason })
+            .catch(e => console.error('Failed to close remote socket:', e));
+        setImmediate(() => this.emit('close'));
+    }
+}
+
+// One bus message per gateway node, however many of its sockets are listening
+function sendToRemoteSockets(sockets, data) {
+    const byGateway = new Map();
+    sockets.forEach(socket => {
+        if (socket.readyState !== WebSocket.OPEN) return;
+        if (!byGateway.has(socket.gatewayId)) byGateway.set(socket.gatewayId, []);
+        byGateway.get(socket.gatewayId).push(socket.connectionId);
+    });
+    byGateway.forEach((connectionIds, gatewayId) => {
+        roomBus.publish(`node:${gatewayId}`, { kind: 'send', connectionIds, data })
+            .catch(e => console.error(`Failed to relay to node ${gatewayId}:`, e));
+    });
+}
+
+// Takes the room's lease if nobody holds it (loading the room from the bus if it exists) and returns the owner's nodeId
+async function claimRoom(roomId) {
+    if (rooms[roomId]) return roomBus.nodeId; // The lease loop unloads rooms whose lease we lose
+    if (await roomBus.acquireLease(`room:${roomId}`, ROOM_LEASE_TTL_MS)) {
+        const snapshot = await roomBus.getRoom(roomId);
+        if (snapshot && !rooms[roomId]) {
+            restoreRoom(snapshot);
+            console.log(`Adopted room ${roomId} on node ${roomBus.nodeId}.`);
+            await roomBus.publish('cluster', { kind: 'room-adopted', roomId, nodeId: roomBus.nodeId });
+        }
+        return roomBus.nodeId;
+    }
+    return roomBus.getLeaseHolder(`room:${roomId}`);
+}
+
+// The room a message is about: named in the payload, inside a resume token, or the one the socket already uses
+function getMessageRoomId(ws, message) {
+    const payload = (message && message.payload) || {};
+    if (typeof payload.roomId === 'string' || typeof payload.roomId === 'number') return String(payload.roomId);
+    if (message && message.type === 'RESUME_SESSION') {
+        const claims = decodeResumeToken(payload.resumeToken);
+        if (claims && claims.roomId) return claims.roomId;
+    }
+    return ws.clusterRoomId || null;
+}
+
+// Handles the message here when this node owns the room, otherwise relays it to the owner. Messages from one socket
+// are routed one at a time so they keep their order.
+function routeMessage(ws, messageString, processLocally) {
+    ws.routeQueue = (ws.routeQueue || Promise.resolve()).then(async () => {
+        let message = null;
+        try {
+            message = JSON.parse(messageString);
+        } catch (e) { /* processLocally reports it */ }
+        const roomId = message && message.type !== 'HELLO' ? getMessageRoomId(ws, message) : null;
+        if (!roomId) return processLocally(messageString);
+
+        const ownerId = roomId === ws.clusterRoomId && ws.clusterOwnerId ? ws.clusterOwnerId : await claimRoom(roomId);
+        if (!ownerId) return sendError(ws, ERROR_CODES.ROOM_UNAVAILABLE, 'This room is moving between servers. Please try again.');
+        if (ws.clusterOwnerId && (ws.clusterOwnerId !== ownerId || ws.clusterRoomId !== roomId)) releaseRoute(ws);
+        ws.clusterRoomId = roomId;
+        ws.clusterOwnerId = ownerId;
+        if (ownerId === roomBus.nodeId) return processLocally(messageString);
+        await roomBus.publish(`node:${ownerId}`, {
+            kind: 'relay', from: roomBus.nodeId, connectionId: ws.connectionId, protocolVersion: ws.protocolVersion, message: messageString.toString()
+        });
+    }).catch(e => {
+        console.error('Failed to route message:', e);
+        sendError(ws, ERROR_CODES.ROOM_UNAVAILABLE, 'The server running this room could not be reached. Please try again.');
+    });
+}
+
+// The socket no longer talks to its room's owner (closed, or moved to another room)
+function releaseRoute(ws) {
+    if (ws.clusterOwnerId && ws.clusterOwnerId !== roomBus.nodeId) {
+        roomBus.publish(`node:${ws.clusterOwnerId}`, { kind: 'relay-close', from: roomBus.nodeId, connectionId: ws.connectionId })
+            .catch(e => console.error('Failed to relay disconnect:', e));
+    }
+    ws.clusterOwnerId = null;
+}
+
+// Messages addressed to this node: relayed client traffic when we own the room, replies when we're the gateway
+function handleNodeMessage(event) {
+    switch (event.kind) {
+        case 'relay': {
+            const key = `${event.from}/${event.connectionId}`;
+            let socket = remoteSockets.get(key);
+            if (!socket) {
+                socket = new RemoteSocket(event.from, event.connectionId);
+                remoteSockets.set(key, socket);
+                handleConnection(socket);
+            }
+            socket.protocolVersion = event.protocolVersion;
+            socket.emit('message', event.message);
+            break;
         }
-        case 'Early 7': {
-            const markedCount = allTicketNums.filter(num => calledNumbers.includes(num)).length;
-            return markedCount >= 7;
+        case 'relay-close': {
+            const key = `${event.from}/${event.connectionId}`;
+            const socket = remoteSockets.get(key);
+            if (!socket) break;
+            remoteSockets.delete(key);
+            socket.readyState = WebSocket.CLOSED;
+            socket.emit('close');
+            break;
         }
-        case 'Corners': {
-            const topRowActual = getNumbersInRow(ticketNumbers, 0);
-            const bottomRowActual = getNumbersInRow(ticketNumbers, 2);
-            if (topRowActual.length === 0 || bottomRowActual.length === 0) return false;
-
-            const cornerNumbers = [];
-            if (topRowActual.length > 0) cornerNumbers.push(topRowActual[0]);
-            if (topRowActual.length > 1) cornerNumbers.push(topRowActual[topRowActual.length -1]); // Last actual number
-            if (bottomRowActual.length > 0) cornerNumbers.push(bottomRowActual[0]);
-            if (bottomRowActual.length > 1) cornerNumbers.push(bottomRowActual[bottomRowActual.length-1]); // Last actual number
-
-            const uniqueCornerNumbers = [...new Set(cornerNumbers)]; // Ensure unique numbers if e.g. only one number in row
-            return uniqueCornerNumbers.length >= 2 && allNumbersAreCalled(uniqueCornerNumbers, calledNumbers); // Need at least 2 distinct corners
+        case 'send':
+            event.connectionIds.forEach(connectionId => {
+                const ws = localSockets.get(connectionId);
+                if (ws && ws.readyState === WebSocket.OPEN) ws.send(event.data);
+            });
+            break;
+        case 'close': {
+            const ws = localSockets.get(event.connectionId);
+            if (ws) ws.close(event.code, event.reason);
+            break;
         }
-        case '1-2-3': {
-            const r0_actual = getNumbersInRow(ticketNumbers, 0);
-            const r1_actual = getNumbersInRow(ticketNumbers, 1);
-            const r2_actual = getNumbersInRow(ticketNumbers, 2);
-            if (r0_actual.length < 1 || r1_actual.length < 2 || r2_actual.length < 3) return false;
-            const numbersFor123 = [
-                r0_actual[0], r1_actual[0], r1_actual[1],
-                r2_actual[0], r2_actual[1], r2_actual[2]
-            ];
-            return allNumbersAreCalled(numbersFor123, calledNumbers);
+        case 'close-room': // REST DELETE that arrived at another node
+            closeRoom(event.roomId, event.reason);
+            break;
+    }
+}
+
+function handleClusterMessage(event) {
+    if (event.kind !== 'room-adopted') return;
+    // Sockets still pointed at the previous owner reconnect and land on the new one
+    localSockets.forEach(ws => {
+        if (ws.clusterRoomId === event.roomId && ws.clusterOwnerId && ws.clusterOwnerId !== event.nodeId) {
+            ws.clusterOwnerId = null;
+            ws.close(1012, 'Room moved to another server');
         }
-        case 'BP (Bull\'s Eye)': {
-            if (allTicketNums.length < 2) return false; // Need at least two numbers to have a min and max
-            const minNum = Math.min(...allTicketNums);
-            const maxNum = Math.max(...allTicketNums);
-            return calledNumbers.includes(minNum) && calledNumbers.includes(maxNum);
+    });
+}
+
+// Another node owns the room now: forget it here without touching its snapshot
+function unloadRoom(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    clearRoomTimers(room);
+    getRoomSockets(room).forEach(memberWs => {
+        playerConnections.delete(memberWs);
+        memberWs.close(1012, 'Room moved to another server');
+    });
+    delete rooms[roomId];
+    console.log(`Lost the lease on room ${roomId}, unloaded it.`);
+}
+
+// Renews our leases and adopts rooms nobody holds (their node is gone)
+async function maintainRoomLeases() {
+    if (!roomBusConnected) return;
+    for (const roomId of Object.keys(rooms)) {
+        if (!await roomBus.acquireLease(`room:${roomId}`, ROOM_LEASE_TTL_MS)) unloadRoom(roomId);
+    }
+    for (const roomId of await roomBus.listRoomIds()) {
+        if (!rooms[roomId] && !await roomBus.getLeaseHolder(`room:${roomId}`)) await claimRoom(roomId);
+    }
+}
+
+// --- Prize Validation Helper Functions ---
+// Patterns live in prizePatterns.js: a custom rule carries its own `pattern`, built-in rules are looked up by ID
+function validatePrizeClaim(ticketNumbers, calledNumbers, rule, room) {
+    const pattern = getPatternForRule(rule);
+    if (!pattern) {
+        console.warn(`No prize pattern for rule ${rule && rule.id} (${rule && rule.name}); claim cannot be validated.`);
+        return false;
+    }
+    const wonRuleIds = room ? [...new Set(room.winners.map(w => w.prizeRuleId))] : [];
+    return evaluatePattern(pattern, ticketNumbers, calledNumbers, { wonRuleIds, wonAtCalls: room ? getWonAtCalls(room) : {} });
+}
+
+// ruleId -> how many numbers had been called when the prize's first claim window opened
+function getWonAtCalls(room) {
+    const wonAtCalls = {};
+    room.winners.forEach(w => {
+        const claimWindow = w.windowId && (room.claimWindows || {})[w.windowId];
+        if (!claimWindow) return;
+        const callsSoFar = claimWindow.calledIndex + 1;
+        if (wonAtCalls[w.prizeRuleId] === undefined || callsSoFar < wonAtCalls[w.prizeRuleId]) wonAtCalls[w.prizeRuleId] = callsSoFar;
+    });
+    return wonAtCalls;
+}
+
+// Checks every custom pattern in a rules list before it is stored. Returns an error message or null.
+function validateRulePatterns(rules) {
+    for (const rule of rules || []) {
+        if (!rule.pattern) continue;
+        const error = validatePatternDefinition(rule.pattern);
+        if (error) return `Prize '${rule.name}': ${error}`;
+    }
+    return null;
+}
+
+function buildGameSummary(room) {
+    return {
+        totalNumbersCalled: room.numbersCalled.length,
+        winners: room.winners,
+        // Only windows with more than one claimant are ties worth showing; the seed lets a random draw be re-checked
+        ties: Object.values(room.claimWindows || {}).filter(w => w.claimIds.length > 1),
+        // Revealed seed, so anyone can check it against the commitment from GAME_STARTED and replay the calls
+        draw: room.draw ? { ...room.draw, calledNumbers: [...room.numbersCalled] } : null,
+        players: room.players.map(p => ({name: p.name, tickets: p.tickets.length, coins: p.coins}))
+    };
+}
+
+// --- Claim Adjudication Helper Functions ---
+// claimMode per room:
+//   'manual'   - every claim goes to the hosts (original behaviour)
+//   'auto'     - the server approves valid claims and pays out, rejects invalid ones
+//   'assisted' - the server rejects invalid claims, valid ones still go to the hosts
+const CLAIM_MODES = ['manual', 'auto', 'assisted'];
+const SERVER_REJECTION_REASON = 'Ticket does not satisfy this prize with the numbers called so far.';
+
+// --- Marking Helper Functions ---
+// markingMode per room:
+//   'auto' - players may let their page mark called numbers; claims are checked against the calls (original behaviour)
+//   'daub' - manual daub: players mark every number themselves, and a claim only counts the numbers marked before it
+const MARKING_MODES = ['auto', 'daub'];
+const DAUB_REJECTION_REASON = 'The winning numbers were not all marked before claiming.';
+
+function getMarkingMode(room) {
+    return room.markingMode || 'auto';
+}
+
+// The calls a claim on this ticket is judged against. In daub mode a called number the player didn't mark counts as
+// not called; it becomes null rather than being dropped so call positions (withinCalls) stay the same.
+function getClaimCalls(room, ticket) {
+    if (getMarkingMode(room) !== 'daub' || ticket.serial) return room.numbersCalled; // Paper tickets are daubed on paper
+    const ticketNumbers = ticket.numbers.flat();
+    const marked = ticket.marked || [];
+    return room.numbersCalled.map(number => (ticketNumbers.includes(number) && !marked.includes(number) ? null : number));
+}
+
+// --- Claim Window Helper Functions ---
+// How ties are grouped, closed and paid is in claimWindows.js; these tie it to tickets, players and the ledger.
+
+// ticket.numbers -> Map of rule.id -> { rule, winnerCount, calls, firstIndex }: how far each ticket has been checked.
+// Bots ask about every ticket and rule on every call, so only the calls added since the last check are evaluated.
+// An entry is thrown away when the calls it saw change (a daub undone), the rules are replaced or a prize is won
+// (patterns can depend on other prizes). Not part of the room, so it is never persisted.
+const completionCache = new WeakMap();
+
+// Index into calledNumbers at which the ticket first satisfied the rule, whether or not it still does; -1 if it never did
+function getFirstCompletionIndex(ticketNumbers, calledNumbers, rule, room) {
+    if (!completionCache.has(ticketNumbers)) completionCache.set(ticketNumbers, new Map());
+    const byRule = completionCache.get(ticketNumbers);
+    const winnerCount = room ? room.winners.length : 0;
+    let entry = byRule.get(rule.id);
+    const stillValid = entry && entry.rule === rule && entry.winnerCount === winnerCount &&
+        entry.calls.length <= calledNumbers.length && entry.calls.every((number, i) => number === calledNumbers[i]);
+    if (!stillValid) entry = { rule, winnerCount, calls: [], firstIndex: -1 };
+    if (entry.firstIndex === -1) {
+        for (let i = entry.calls.length; i < calledNumbers.length; i++) {
+            if (validatePrizeClaim(ticketNumbers, calledNumbers.slice(0, i + 1), rule, room)) {
+                entry.firstIndex = i;
+                break;
+            }
         }
-        case 'Breakfast': {
-            const breakfastNumsOnTicket = allTicketNums.filter(num => num >= 1 && num <= 30);
-            if (breakfastNumsOnTicket.length === 0) return false;
-            return allNumbersAreCalled(breakfastNumsOnTicket, calledNumbers);
+    }
+    // Once found, later calls can't move it; until then every call so far has been checked
+    entry.calls = calledNumbers.slice(0, entry.firstIndex >= 0 ? entry.firstIndex + 1 : calledNumbers.length);
+    byRule.set(rule.id, entry);
+    return entry.firstIndex;
+}
+
+// Index into calledNumbers at which the ticket first satisfied the rule, or -1 if it doesn't satisfy it now
+function getClaimCompletionIndex(ticketNumbers, calledNumbers, rule, room) {
+    if (!validatePrizeClaim(ticketNumbers, calledNumbers, rule, room)) return -1;
+    return getFirstCompletionIndex(ticketNumbers, calledNumbers, rule, room);
+}
+
+// Works out which window a claim on this ticket belongs to, see findWindowSlot. Returns { ok, code, message, windowId, calledIndex }.
+// calledNumbers: the calls that count for the ticket, see getClaimCalls. callCount: room.numbersCalled.length when the
+// claim was made (now, for a new claim).
+function findClaimWindow(room, rule, ticketNumbers, calledNumbers = room.numbersCalled, callCount = room.numbersCalled.length) {
+    const completionIndex = ticketNumbers ? getClaimCompletionIndex(ticketNumbers, calledNumbers, rule, room) : -1;
+    return findWindowSlot(room, rule, completionIndex, callCount);
+}
+
+// Brings every payout in the window up to date and applies the difference to player coins.
+// Runs each time a claim joins, so earlier winners are adjusted when a tie turns up later. A random window pays
+// nothing until its draw.
+function settleClaimWindow(room, rule, claimWindow) {
+    const windowWinners = room.winners.filter(w => w.windowId === claimWindow.id);
+    // Excluded bots get nothing; the people in the window share (or are drawn for) the whole prize
+    const paidClaimIds = windowWinners.filter(w => !isPayoutExcluded(room, w.playerId)).map(w => w.claimId);
+    const payouts = getWindowPayouts(claimWindow, paidClaimIds, parseFloat(rule.coinsPerPrize) || 0);
+
+    windowWinners.forEach(winner => {
+        const coins = payouts[winner.claimId] || 0;
+        const player = room.players.find(p => p.id === winner.playerId);
+        if (player) {
+            const delta = roundMoney(coins - (winner.coins || 0));
+            player.coins = parseFloat(((player.coins || 0) + delta).toFixed(2));
+            const claim = (player.claims || []).find(c => c.claimId === winner.claimId);
+            if (claim) claim.coinsAwarded = coins;
+            if (delta !== 0) {
+                recordLedgerEntry(room, player, {
+                    type: 'prize', amount: delta, claimId: winner.claimId, prizeName: winner.prizeName, gameNumber: getCurrentGameNumber(room),
+                    note: winner.coins ? 'Tie payout recomputed' : ''
+                });
+            }
         }
-        case 'Dinner': {
-            const dinnerNumsOnTicket = allTicketNums.filter(num => num >= 61 && num <= 90);
-            if (dinnerNumsOnTicket.length === 0) return false;
-            return allNumbersAreCalled(dinnerNumsOnTicket, calledNumbers);
+        winner.coins = coins;
+        winner.sharedWith = windowWinners.length - 1;
+    });
+    return windowWinners;
+}
+
+// Tells everyone in the window their payout and announces the given winners
+function announceClaimWindow(room, rule, claimWindow, announcedWinners) {
+    const windowWinners = room.winners.filter(w => w.windowId === claimWindow.id);
+    windowWinners.forEach(winner => {
+        const winnerPlayer = room.players.find(p => p.id === winner.playerId);
+        if (winnerPlayer && winnerPlayer.ws) {
+            sendMessageToClient(winnerPlayer.ws, {
+                type: 'CLAIM_STATUS_UPDATE',
+                payload: { claimId: winner.claimId, prizeName: rule.name, status: 'approved', coinsAwarded: winner.coins, totalCoins: winnerPlayer.coins, sharedWith: winner.sharedWith, tiePolicy: winner.tiePolicy, strikes: winnerPlayer.strikes || 0 }
+            });
         }
-        case 'Fat Ladies': {
-            const fatLadyNumbersOnTicket = allTicketNums.filter(num => num.toString().includes('8'));
-            if (fatLadyNumbersOnTicket.length === 0) return false;
-            return allNumbersAreCalled(fatLadyNumbersOnTicket, calledNumbers);
+    });
+    announcedWinners.forEach(winner => {
+        broadcastToRoom(room.id, { type: 'WINNER_ANNOUNCEMENT', payload: { playerId: winner.playerId, playerName: winner.playerName, prizeName: rule.name, prizeRuleId: rule.id, coins: winner.coins, claimId: winner.claimId, windowId: claimWindow.id, sharedWith: winner.sharedWith, tiePolicy: winner.tiePolicy } });
+    });
+    if (windowWinners.length > 1) {
+        broadcastToRoom(room.id, {
+            type: 'CLAIM_WINDOW_SETTLED',
+            payload: { ...claimWindow, winners: windowWinners.map(w => ({ claimId: w.claimId, playerId: w.playerId, playerName: w.playerName, coins: w.coins, sharedWith: w.sharedWith })) }
+        });
+    }
+}
+
+// Makes a random window's draw, then pays and announces everyone in it
+function closeClaimWindow(room, claimWindow) {
+    const rule = room.rules.find(r => r.id === claimWindow.prizeRuleId) || { id: claimWindow.prizeRuleId, name: claimWindow.prizeName, coinsPerPrize: 0 };
+    const paidClaimIds = room.winners.filter(w => w.windowId === claimWindow.id && !isPayoutExcluded(room, w.playerId)).map(w => w.claimId);
+    drawClaimWindow(claimWindow, paidClaimIds);
+    const windowWinners = settleClaimWindow(room, rule, claimWindow);
+    logEvent(room, 'TIE_DRAWN', {
+        windowId: claimWindow.id, prizeRuleId: rule.id, prizeName: rule.name, calledNumber: claimWindow.calledNumber, seed: claimWindow.seed,
+        drawWinnerClaimId: claimWindow.drawWinnerClaimId,
+        payouts: windowWinners.map(w => ({ claimId: w.claimId, playerId: w.playerId, playerName: w.playerName, coins: w.coins }))
+    }, SERVER_ACTOR);
+    announceClaimWindow(room, rule, claimWindow, windowWinners);
+}
+
+// Draws every random window still waiting: before the next number is called, and when the game ends
+function closeClaimWindows(room) {
+    Object.values(room.claimWindows || {}).filter(isAwaitingDraw).forEach(claimWindow => closeClaimWindow(room, claimWindow));
+}
+
+// Pays out a claim and announces the winner. Returns { ok, code, message, coinsAwarded, awaitingDraw }.
+// A claim in a random window is approved at once but paid and announced when the window's draw is made.
+// decidedBy goes in the event log: the host handling the message, or SERVER_ACTOR for the claim modes.
+function approvePrizeClaim(room, player, rule, claimId, decidedBy = getCurrentActor()) {
+    if (room.gameStatus !== 'running' && room.gameStatus !== 'paused') {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: 'Claims can only be approved while the game is in progress.' };
+    }
+    const claim = (player.claims || []).find(c => c.claimId === claimId);
+    // With co-hosts, two hosts can act on the same claim; only the first decision counts
+    if (claim && claim.status !== 'pending_admin_approval') {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: `This claim was already ${claim.status}.` };
+    }
+    const ticket = claim && player.tickets.find(t => t.id === claim.ticketId);
+    const winnerName = claim && claim.paperSerial ? `${player.name} ${formatSerial(claim.paperSerial)}` : player.name; // Which paper ticket won
+    const callCount = claim && claim.callCount !== undefined ? claim.callCount : room.numbersCalled.length;
+    const slot = findClaimWindow(room, rule, ticket && ticket.numbers, ticket ? getClaimCalls(room, ticket) : room.numbersCalled, callCount);
+    if (!slot.ok) return { ok: false, code: slot.code, message: slot.message };
+
+    if (!room.claimWindows) room.claimWindows = {};
+    let claimWindow = room.claimWindows[slot.windowId];
+    if (!claimWindow) {
+        claimWindow = room.claimWindows[slot.windowId] = createClaimWindow(rule, slot.calledIndex, room.numbersCalled[slot.calledIndex], callCount);
+    }
+    claimWindow.claimIds.push(claimId);
+    if (claim) claim.status = 'approved';
+
+    room.winners.push({
+        claimId,
+        playerId: player.id,
+        playerName: winnerName,
+        prizeName: rule.name,
+        prizeRuleId: rule.id,
+        coins: 0, // Set by settleClaimWindow
+        windowId: claimWindow.id,
+        calledNumber: claimWindow.calledNumber,
+        tiePolicy: claimWindow.tiePolicy,
+        sharedWith: 0,
+        timestamp: new Date().toISOString()
+    });
+    const windowWinners = settleClaimWindow(room, rule, claimWindow);
+    const newWinner = windowWinners.find(w => w.claimId === claimId);
+    const awaitingDraw = isAwaitingDraw(claimWindow);
+    logEvent(room, 'CLAIM_APPROVED', {
+        claimId, playerId: player.id, playerName: winnerName, prizeRuleId: rule.id, prizeName: rule.name,
+        windowId: claimWindow.id, calledNumber: claimWindow.calledNumber, tiePolicy: claimWindow.tiePolicy, awaitingDraw,
+        payouts: windowWinners.map(w => ({ claimId: w.claimId, playerId: w.playerId, playerName: w.playerName, coins: w.coins }))
+    }, decidedBy);
+
+    if (!awaitingDraw) {
+        announceClaimWindow(room, rule, claimWindow, [newWinner]);
+    } else if (claimWindow.callCount !== room.numbersCalled.length) {
+        closeClaimWindow(room, claimWindow); // Approved after the next call: the window has already closed
+    } else if (player.ws) {
+        sendMessageToClient(player.ws, {
+            type: 'CLAIM_STATUS_UPDATE',
+            payload: { claimId, prizeName: rule.name, status: 'approved', awaitingDraw: true, coinsAwarded: 0, totalCoins: player.coins, sharedWith: newWinner.sharedWith, tiePolicy: claimWindow.tiePolicy, strikes: player.strikes || 0 }
+        });
+    }
+    persistRoom(room.id);
+    return { ok: true, coinsAwarded: newWinner.coins, awaitingDraw: isAwaitingDraw(claimWindow) };
+}
+
+// Marks a claim rejected and tells the player. Returns { ok, code, message }. decidedBy as for approvePrizeClaim.
+function rejectPrizeClaim(room, player, claimId, prizeName, reason, decidedBy = getCurrentActor()) {
+    const claim = (player.claims || []).find(c => c.claimId === claimId);
+    if (claim && claim.status !== 'pending_admin_approval') {
+        return { ok: false, code: ERROR_CODES.INVALID_STATE, message: `This claim was already ${claim.status}.` };
+    }
+    const finalReason = reason || "Claim did not meet criteria.";
+    let penalty = null;
+    if (claim) {
+        Object.assign(claim, { status: 'rejected', reason: finalReason });
+        // Only a claim the server itself found invalid is a bogey; hosts may reject valid claims for other reasons
+        if (claim.serverValid === false) penalty = applyBogeyPenalty(room, player, claim);
+        logEvent(room, 'CLAIM_REJECTED', { claimId, playerId: player.id, playerName: player.name, prizeName, reason: finalReason, penalty }, decidedBy);
+        persistRoom(room.id);
+    }
+    if (player.ws) {
+        sendMessageToClient(player.ws, {
+            type: 'CLAIM_STATUS_UPDATE',
+            payload: { claimId, prizeName, status: 'rejected', reason: finalReason, strikes: player.strikes || 0, penalty, totalCoins: player.coins }
+        });
+    }
+    if (penalty) broadcastToRoom(room.id, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+    return { ok: true };
+}
+
+// --- Bogey (False Claim) Helper Functions ---
+// room.bogeyRules:
+//   penaltyCoins             - deducted from the player's coins per false claim (never below 0)
+//   lockPrize                - the player can no longer claim that prize this game
+//   cancelTicketAfterStrikes - a ticket with this many false claims is cancelled (0 = never)
+// room.claimRateLimit: at most maxClaims claims per perSeconds, per player
+const DEFAULT_BOGEY_RULES = { penaltyCoins: 0, lockPrize: false, cancelTicketAfterStrikes: 0 };
+const DEFAULT_CLAIM_RATE_LIMIT = { maxClaims: 3, perSeconds: 30 };
+
+function getBogeyRules(room) {
+    return { ...DEFAULT_BOGEY_RULES, ...(room.bogeyRules || {}) };
+}
+
+function getClaimRateLimit(room) {
+    return { ...DEFAULT_CLAIM_RATE_LIMIT, ...(room.claimRateLimit || {}) };
+}
+
+// Records a strike and applies the room's bogey rules. Returns what happened, for the player's CLAIM_STATUS_UPDATE.
+function applyBogeyPenalty(room, player, claim) {
+    const bogeyRules = getBogeyRules(room);
+    const ticket = player.tickets.find(t => t.id === claim.ticketId);
+    player.strikes = (player.strikes || 0) + 1;
+    if (ticket) ticket.strikes = (ticket.strikes || 0) + 1;
+
+    const penalty = { strike: player.strikes, coinsDeducted: 0, lockedPrizeRuleId: null, cancelledTicketId: null };
+    if (bogeyRules.penaltyCoins > 0) {
+        const before = player.coins || 0;
+        player.coins = parseFloat(Math.max(0, before - bogeyRules.penaltyCoins).toFixed(2));
+        penalty.coinsDeducted = parseFloat((before - player.coins).toFixed(2));
+        if (penalty.coinsDeducted > 0) {
+            recordLedgerEntry(room, player, { type: 'penalty', amount: -penalty.coinsDeducted, claimId: claim.claimId, prizeName: claim.prizeName, gameNumber: getCurrentGameNumber(room), note: 'False claim' });
         }
-        case 'Unlucky 1':
-            console.warn(`Prize validation for "Unlucky 1" is complex and typically game-event based; not fully implemented here.`);
-            return false; // Requires tracking more game state than just called numbers.
-        default:
-            console.warn(`Unknown prize rule name for validation: ${prizeRuleName}`);
-            return false;
     }
+    if (bogeyRules.lockPrize) {
+        if (!player.lockedPrizeRuleIds) player.lockedPrizeRuleIds = [];
+        if (!player.lockedPrizeRuleIds.includes(claim.prizeRuleId)) player.lockedPrizeRuleIds.push(claim.prizeRuleId);
+        penalty.lockedPrizeRuleId = claim.prizeRuleId;
+    }
+    if (ticket && bogeyRules.cancelTicketAfterStrikes > 0 && ticket.strikes >= bogeyRules.cancelTicketAfterStrikes && !ticket.cancelled) {
+        ticket.cancelled = true;
+        penalty.cancelledTicketId = ticket.id;
+    }
+    claim.penalty = penalty;
+    console.log(`Bogey by ${player.name} in room ${room.id} (strike ${player.strikes}) on ${claim.prizeName}`);
+    return penalty;
+}
+
+// Sliding window over the player's recent claims. Returns seconds to wait, or 0 if the claim may go ahead.
+function checkClaimRateLimit(room, playerId) {
+    const { maxClaims, perSeconds } = getClaimRateLimit(room);
+    const now = Date.now();
+    const recent = (claimTimestamps.get(playerId) || []).filter(t => now - t < perSeconds * 1000);
+    if (maxClaims > 0 && recent.length >= maxClaims) {
+        claimTimestamps.set(playerId, recent);
+        return Math.ceil((recent[0] + perSeconds * 1000 - now) / 1000);
+    }
+    recent.push(now);
+    claimTimestamps.set(playerId, recent);
+    return 0;
+}
+
+// --- Chat Helper Functions ---
+// The admin, co-host or player behind a connection, as { id, name, role }
+function getChatSender(room, connectionInfo) {
+    const { type, playerId } = connectionInfo;
+    let member = null;
+    if (type === 'admin') member = room.admin;
+    else if (type === 'cohost') member = (room.cohosts || []).find(c => c.id === playerId);
+    else if (type === 'player') member = room.players.find(p => p.id === playerId);
+    return member ? { id: member.id, name: member.name, role: type } : null;
+}
+
+// Same sliding window as claims, one limit for everyone. Returns seconds to wait, or 0.
+function checkChatRateLimit(senderId) {
+    const { maxMessages, perSeconds } = CHAT_RATE_LIMIT;
+    const now = Date.now();
+    const recent = (chatTimestamps.get(senderId) || []).filter(t => now - t < perSeconds * 1000);
+    if (recent.length >= maxMessages) {
+        chatTimestamps.set(senderId, recent);
+        return Math.ceil((recent[0] + perSeconds * 1000 - now) / 1000);
+    }
+    recent.push(now);
+    chatTimestamps.set(senderId, recent);
+    return 0;
+}
+
+// Private messages go to the hosts and their one recipient; everything else to the whole room
+function deliverChatMessage(room, message) {
+    const chatMessage = { type: 'CHAT_MESSAGE', payload: { message } };
+    if (!message.toPlayerId) {
+        broadcastToRoom(room.id, chatMessage);
+        return;
+    }
+    sendToRoomHosts(room, chatMessage);
+    const recipient = room.players.find(p => p.id === message.toPlayerId);
+    if (recipient && recipient.ws) sendMessageToClient(recipient.ws, chatMessage);
+}
+
+// Removes the seat outright (no grace period). Tickets go with it; ledger entries stay.
+function kickPlayer(room, player, reason) {
+    if (playerGraceTimers.has(player.id)) clearTimeout(playerGraceTimers.get(player.id));
+    playerGraceTimers.delete(player.id);
+    claimTimestamps.delete(player.id);
+    chatTimestamps.delete(player.id);
+    setPlayerMuted(room, player.id, false);
+    room.players.splice(room.players.indexOf(player), 1);
+    logEvent(room, 'PLAYER_KICKED', { playerId: player.id, playerName: player.name, reason: reason || '' });
+    if (player.ws) {
+        playerConnections.delete(player.ws);
+        sendMessageToClient(player.ws, { type: 'KICKED', payload: { reason: reason || 'You were removed from the room by the host.' } });
+        player.ws.close(4003, 'Kicked');
+    }
+    persistRoom(room.id);
+    broadcastToRoom(room.id, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+    console.log(`Player ${player.name} (ID: ${player.id}) was kicked from room ${room.id}${reason ? `: ${reason}` : ''}`);
+}
+
+// --- Room Capacity & Ban Helper Functions ---
+const MAX_PLAYERS_LIMIT = 500;
+
+function getBans(room) {
+    const session = getSession(room);
+    if (!session.bans) session.bans = []; // Sessions saved before bans existed
+    return session.bans;
+}
+
+// A ban matches the banned player's name (any case) or the device they joined from
+function findBan(room, playerName, deviceId) {
+    const name = String(playerName || '').trim().toLowerCase();
+    return getBans(room).find(b => b.name.toLowerCase() === name || (deviceId && b.deviceId === deviceId)) || null;
+}
+
+function areJoinsLocked(room) {
+    return !!room.lockJoinsDuringGame && (room.gameStatus === 'running' || room.gameStatus === 'paused');
+}
+
+// Returns { code, message } when a new player may not join, or null
+function getJoinRefusal(room, playerName, deviceId) {
+    if (findBan(room, playerName, deviceId)) return { code: ERROR_CODES.BANNED, message: 'You have been banned from this room for the rest of the session.' };
+    if (areJoinsLocked(room)) return { code: ERROR_CODES.ROOM_LOCKED, message: 'This room is locked while the game is in progress. Try again after it ends.' };
+    if (room.maxPlayers && room.players.length >= room.maxPlayers) return { code: ERROR_CODES.ROOM_FULL, message: `This room is full (${room.maxPlayers} players).` };
+    return null;
+}
+
+function getRoomAccessPayload(room) {
+    return {
+        joinCode: room.joinCode || '',
+        hasAdminSecret: !!room.adminSecretHash,
+        hasCohostCode: !!room.cohostCodeHash,
+        maxPlayers: room.maxPlayers || null,
+        lockJoinsDuringGame: !!room.lockJoinsDuringGame,
+        bans: getBans(room).map(({ deviceId, ...ban }) => ban)
+    };
 }
 
 // --- WebSocket Connection Handling ---
-wss.on('connection', (ws) => {
+// ws is a real socket, or a RemoteSocket standing in for one connected to another node (see Cluster Helper Functions)
+function handleConnection(ws) {
     console.log('Client connected');
     // ws.id = generateUniqueId(); // Assign a unique ID to the WebSocket connection itself for easier tracking if needed
 
-    ws.on('message', (messageString) => {
-        let message;
-        try {
-            message = JSON.parse(messageString);
-            // console.log(`Received from client ${ws.id}:`, message);
-            console.log(`Received from client:`, message);
-        } catch (e) {
-            console.error('Failed to parse message:', messageString, e);
-            sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Invalid message format.' } });
-            return;
-        }
+    ws.protocolVersion = LEGACY_PROTOCOL_VERSION; // Until the client says HELLO
+    ws.isAlive = true; // Cleared by each heartbeat, set again by the pong
+    ws.on('pong', () => { ws.isAlive = true; });
 
-        const { type, payload } = message;
+    // payload has already been checked against its schema in protocol.js
+    const handleMessage = (type, payload) => {
         let connectionInfo = playerConnections.get(ws); // Get existing info
 
+        const requiredPermission = MESSAGE_PERMISSIONS[type];
+        if (requiredPermission && !hasPermission(connectionInfo, requiredPermission)) {
+            return sendError(ws, ERROR_CODES.UNAUTHORIZED, 'Unauthorized or room not found.');
+        }
+
         switch (type) {
+            case 'HELLO': { // Protocol version negotiation, sent first thing after connecting
+                const protocolVersion = negotiateProtocolVersion(payload.protocolVersions);
+                if (!protocolVersion) {
+                    return sendError(ws, ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION, `This server speaks protocol version ${SUPPORTED_PROTOCOL_VERSIONS.join(' or ')}.`, { supportedVersions: SUPPORTED_PROTOCOL_VERSIONS });
+                }
+                ws.protocolVersion = protocolVersion;
+                sendMessageToClient(ws, { type: 'HELLO_ACK', payload: { protocolVersion, latestVersion: PROTOCOL_VERSION, supportedVersions: SUPPORTED_PROTOCOL_VERSIONS } });
+                break;
+            }
+
             case 'ADMIN_CREATE_JOIN_ROOM': {
-                const { adminName, roomId } = payload;
+                const { adminName, roomId, adminSecret, joinCode, cohostCode } = payload;
                 if (!adminName || !roomId) {
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Admin name and Room ID are required.' } });
+                    return sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Admin name and Room ID are required.');
                 }
 
                 let adminId;
                 if (rooms[roomId]) { // Room exists
+                    // A secret-protected room only lets in whoever knows the secret, whatever name they type
+                    if (rooms[roomId].adminSecretHash && !verifySecret(adminSecret, rooms[roomId].adminSecretHash)) {
+                        console.warn(`Rejected admin ${adminName} for room ${roomId}: wrong admin secret.`);
+                        return sendError(ws, ERROR_CODES.INVALID_CREDENTIALS, `Incorrect admin secret for room ${roomId}.`);
+                    }
                     if (rooms[roomId].admin.name === adminName) { // Admin rejoining
+                        const previousAdminWs = rooms[roomId].admin.ws;
+                        const seatInUse = previousAdminWs && previousAdminWs !== ws && previousAdminWs.readyState === WebSocket.OPEN;
+                        // Without a secret the name is all anyone typed, so a connected admin keeps the seat; they
+                        // come back on another device with their resume token (RESUME_SESSION)
+                        if (seatInUse && !rooms[roomId].adminSecretHash) {
+                            return sendError(ws, ERROR_CODES.ROOM_TAKEN, `${adminName} is already connected as admin of room ${roomId}. If this is you, rejoin from the device you joined with.`);
+                        }
+                        if (seatInUse) { // Proved the secret: this connection replaces the old one
+                            playerConnections.delete(previousAdminWs);
+                            sendError(previousAdminWs, ERROR_CODES.REPLACED, 'You signed in as admin from another device.');
+                            previousAdminWs.close(4001, 'Admin replaced');
+                        }
                         adminId = rooms[roomId].admin.id;
                         rooms[roomId].admin.ws = ws; // Update WebSocket
                         console.log(`Admin ${adminName} (ID: ${adminId}) reconnected to room ${roomId}`);
-                    } else if (!rooms[roomId].admin.id || !rooms[roomId].admin.ws || rooms[roomId].admin.ws.readyState !== WebSocket.OPEN) {
+                        // Auto-calling stops when the admin drops; pick it back up on reconnect
+                        if (rooms[roomId].gameStatus === 'running' && rooms[roomId].callingMode === 'auto' && !rooms[roomId].autoCallTimerId) {
+                            startAutoCalling(roomId);
+                        }
+                    } else if (rooms[roomId].adminSecretHash || !rooms[roomId].admin.id || !rooms[roomId].admin.ws || rooms[roomId].admin.ws.readyState !== WebSocket.OPEN) {
                         // Room exists, but admin is different or disconnected, allow new admin to take over if old one is gone
+                        // (or at any time when they proved the admin secret above)
                         console.warn(`Room ${roomId} existed. Previous admin ${rooms[roomId].admin.name}. New admin ${adminName} taking over.`);
+                        const previousAdminWs = rooms[roomId].admin.ws;
+                        if (previousAdminWs && previousAdminWs !== ws) {
+                            playerConnections.delete(previousAdminWs);
+                            sendError(previousAdminWs, ERROR_CODES.REPLACED, `${adminName} has taken over as admin of this room.`);
+                            previousAdminWs.close(4001, 'Admin replaced');
+                        }
                         adminId = generateUniqueId();
                         rooms[roomId].admin = { id: adminId, name: adminName, ws: ws };
                     } else {
-                        return sendMessageToClient(ws, { type: 'ERROR', payload: { message: `Room ${roomId} already exists with a different active admin (${rooms[roomId].admin.name}).` } });
+                        return sendError(ws, ERROR_CODES.ROOM_TAKEN, `Room ${roomId} already exists with a different active admin (${rooms[roomId].admin.name}).`);
                     }
                 } else { // New room
-                    adminId = generateUniqueId();
-                    rooms[roomId] = {
-                        id: roomId,
-                        admin: { id: adminId, name: adminName, ws: ws },
-                        players: [],
-                        numbersCalled: [],
-                        availableNumbers: Array.from({ length: 90 }, (_, i) => i + 1),
-                        gameStatus: 'idle', // 'idle', 'running', 'paused', 'stopped'
-                        rules: [],
-                        totalMoneyCollected: 0,
-                        callingMode: 'manual',
-                        autoCallInterval: 5, // seconds
-                        createdAt: new Date().toISOString(),
-                        winners: [],
-                        autoCallTimerId: null, // For server-side auto-call
-                    };
+                    adminId = createRoom(roomId, { adminName, adminWs: ws, adminSecret, joinCode, cohostCode }).admin.id;
                     console.log(`Admin ${adminName} (ID: ${adminId}) created and connected to room ${roomId}`);
                 }
                 playerConnections.set(ws, { roomId, playerId: adminId, type: 'admin', ws });
+                logEvent(rooms[roomId], 'HOST_JOINED', { hostId: adminId, hostName: adminName, role: 'admin' });
+                persistRoom(roomId);
 
-                const roomDetailsPayload = {
-                    roomId,
-                    role: 'admin',
-                    adminId,
-                    adminName: rooms[roomId].admin.name,
-                    gameStatus: rooms[roomId].gameStatus,
-                    players: rooms[roomId].players.map(p => ({ id: p.id, name: p.name, ticketCount: p.tickets.length })),
-                    rules: rooms[roomId].rules, // Send current rules
-                    totalMoneyCollected: rooms[roomId].totalMoneyCollected,
-                    calledNumbers: rooms[roomId].numbersCalled,
-                    callingMode: rooms[roomId].callingMode, // Send calling mode
-                    // any other relevant details for admin rejoining
-                };
-                sendMessageToClient(ws, { type: 'ROOM_JOINED_SUCCESS', payload: roomDetailsPayload });
+                sendMessageToClient(ws, { type: 'ROOM_JOINED_SUCCESS', payload: buildAdminRoomPayload(rooms[roomId]) });
                 broadcastToRoom(roomId, { type: 'ADMIN_STATUS_UPDATE', payload: { adminName: rooms[roomId].admin.name, isConnected: true } }, ws);
                 break;
             }
@@ -342,147 +1879,204 @@ wss.on('connection', (ws) => {
             case 'PLAYER_JOIN_ROOM': {
                 const { playerName, roomId } = payload;
                 if (!playerName || !roomId) {
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Player name and Room ID are required.' } });
+                    return sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Player name and Room ID are required.');
                 }
                 const room = rooms[roomId];
                 if (!room || !room.admin) {
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Room not found or not ready.' } });
-                }
-                if (room.players.find(p => p.name === playerName && p.ws && p.ws.readyState === WebSocket.OPEN)) {
-                    // Optional: Allow rejoin or handle as error
-                     console.log(`Player ${playerName} attempting to rejoin room ${roomId}.`);
-                     // For simplicity, let's update their WS. A more robust system might prevent duplicate active sessions.
-                     const existingPlayer = room.players.find(p => p.name === playerName);
-                     if(existingPlayer){
-                        existingPlayer.ws = ws;
-                        playerConnections.set(ws, { roomId, playerId: existingPlayer.id, type: 'player', ws });
-                        // sendMessageToClient(ws, {type: 'INFO', payload: { message: 'Rejoined successfully.'}}); // This could be part of PLAYER_JOIN_SUCCESS
-                        // Send them current game state
-                         sendMessageToClient(ws, {
-                            type: 'PLAYER_JOIN_SUCCESS', // Resend join success to resync client
-                            payload: {
-                                playerId: existingPlayer.id,
-                                playerName: existingPlayer.name,
-                                roomId,
-                                tickets: existingPlayer.tickets,
-                                gameStatus: room.gameStatus,
-                                calledNumbers: room.numbersCalled,
-                                rules: room.rules.filter(r => r.isActive),
-                                totalMoneyCollected: room.totalMoneyCollected,
-                                adminName: room.admin.name,
-                                playersInRoom: room.players.map(p => ({ id: p.id, name: p.name, ticketCount: p.tickets.length }))
-                            }
-                        });
-                        return;
-                     }
+                    return sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found or not ready.');
                 }
-
-                if (room.gameStatus === 'stopped') {
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Game has already ended in this room.' } });
+                if (room.joinCode && String(payload.joinCode || '').trim() !== room.joinCode) {
+                    return sendError(ws, ERROR_CODES.INVALID_CREDENTIALS, 'This room requires a valid join code.');
+                }
+                const deviceId = typeof payload.deviceId === 'string' ? payload.deviceId.trim().slice(0, 100) : '';
+                const refusal = getJoinRefusal(room, playerName, deviceId);
+                if (refusal) {
+                    console.log(`Player ${playerName} refused from room ${roomId}: ${refusal.code}`);
+                    return sendError(ws, refusal.code, refusal.message);
+                }
+                // A seat (online or within its grace period) can only be taken back with its resume token
+                if (room.players.some(p => p.name === playerName)) {
+                    console.log(`Player name ${playerName} is already in use in room ${roomId}.`);
+                    return sendError(ws, ERROR_CODES.NAME_TAKEN, `The name "${playerName}" is already taken in this room. If this is you, rejoin from the device you joined with.`);
                 }
 
                 const playerId = generateUniqueId();
-                const initialTicketNumbers = generateTambolaTicket(); // Server generates the first ticket
                 const player = {
                     id: playerId,
                     name: playerName,
                     ws,
-                    tickets: [{ id: generateUniqueId(), numbers: initialTicketNumbers, marked: [] }], // Auto 1 ticket
-                    coins: 0
+                    tickets: [],
+                    coins: 0,
+                    claims: [],
+                    deviceId: deviceId || null, // Lets a ban follow the player past a name change
+                    isOnline: true
                 };
+                if (ws.isBot) Object.assign(player, { isBot: true, botSettings: ws.settings }); // Kept so the bot comes back after a restart
+                logEvent(room, 'PLAYER_JOINED', { playerId, playerName, ...(player.isBot && { isBot: true }) });
+                if (!areTicketsLocked(room) && !isTicketCutoffPassed(room)) player.tickets.push(sellTicket(room, player)); // Auto 1 ticket, unless late joiners must wait for the next game
                 room.players.push(player);
                 playerConnections.set(ws, { roomId, playerId, type: 'player', ws });
+                persistRoom(roomId);
 
-                sendMessageToClient(ws, {
-                    type: 'PLAYER_JOIN_SUCCESS',
-                    payload: {
-                        playerId,
-                        playerName,
-                        roomId,
-                        tickets: player.tickets,
-                        gameStatus: room.gameStatus,
-                        calledNumbers: room.numbersCalled,
-                        rules: room.rules.filter(r => r.isActive),
-                        totalMoneyCollected: room.totalMoneyCollected,
-                        adminName: room.admin.name,
-                        playersInRoom: room.players.map(p => ({ id: p.id, name: p.name, ticketCount: p.tickets.length }))
-                    }
-                });
-                broadcastToRoom(roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: room.players.map(p => ({ id: p.id, name: p.name, ticketCount: p.tickets.length })) } }, ws);
+                sendMessageToClient(ws, { type: 'PLAYER_JOIN_SUCCESS', payload: buildPlayerJoinPayload(room, player) });
+                broadcastToRoom(roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } }, ws);
                 console.log(`Player ${playerName} (ID: ${playerId}) joined room ${roomId}`);
                 break;
             }
 
-            // --- Admin Actions ---
-            case 'ADMIN_START_GAME': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Unauthorized or room not found.' } });
-                const room = rooms[connectionInfo.roomId];
-
-                if (room.gameStatus !== 'idle' && room.gameStatus !== 'stopped') {
-                     return sendMessageToClient(ws, {type: 'ERROR', payload: {message: `Game cannot be started. Current status: ${room.gameStatus}`}});
+            case 'COHOST_JOIN_ROOM': {
+                const { cohostName, roomId, cohostCode } = payload;
+                if (!cohostName || !roomId) {
+                    return sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Co-host name and Room ID are required.');
+                }
+                const room = rooms[roomId];
+                if (!room || !room.admin) {
+                    return sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found or not ready.');
                 }
+                if (!room.cohostCodeHash || !verifySecret(cohostCode, room.cohostCodeHash)) {
+                    return sendError(ws, ERROR_CODES.INVALID_CREDENTIALS, 'Invalid co-host code for this room.');
+                }
+                if (!room.cohosts) room.cohosts = [];
+                let cohost = room.cohosts.find(c => c.name === cohostName);
+                if (cohost) {
+                    if (cohost.ws && cohost.ws !== ws) {
+                        playerConnections.delete(cohost.ws);
+                        cohost.ws.close(4000, 'Session resumed elsewhere');
+                    }
+                    cohost.ws = ws;
+                } else {
+                    cohost = { id: generateUniqueId(), name: cohostName, ws };
+                    room.cohosts.push(cohost);
+                }
+                playerConnections.set(ws, { roomId, playerId: cohost.id, type: 'cohost', ws });
+                logEvent(room, 'HOST_JOINED', { hostId: cohost.id, hostName: cohost.name, role: 'cohost' });
+                persistRoom(roomId);
+
+                sendMessageToClient(ws, { type: 'ROOM_JOINED_SUCCESS', payload: buildAdminRoomPayload(room, cohost, 'cohost') });
+                sendToRoomHosts(room, { type: 'COHOST_LIST_UPDATE', payload: { cohosts: getCohostListPayload(room) } }, ws);
+                console.log(`Co-host ${cohostName} (ID: ${cohost.id}) joined room ${roomId}`);
+                break;
+            }
 
-                if (!payload.rulesConfig || payload.rulesConfig.filter(r => r.isActive).length === 0) {
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Cannot start game without active rules.' } });
+            case 'SPECTATOR_JOIN_ROOM': { // Big-screen board: read-only, not a seat in the room
+                const { roomId, lastCallSequence } = payload || {}; // lastCallSequence when a board reconnects
+                const room = rooms[roomId];
+                if (!room || !room.admin) {
+                    return sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found or not ready.');
                 }
-                if (payload.totalMoneyCollected === undefined || parseFloat(payload.totalMoneyCollected) < 0) { // Allow 0 for free games
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Invalid total money collected.' } });
+                if (room.joinCode && String(payload.joinCode || '').trim() !== room.joinCode) {
+                    return sendError(ws, ERROR_CODES.INVALID_CREDENTIALS, 'This room requires a valid join code.');
                 }
+                if (!room.spectators) room.spectators = [];
+                const spectatorId = generateUniqueId();
+                room.spectators.push({ id: spectatorId, ws });
+                playerConnections.set(ws, { roomId, playerId: spectatorId, type: 'spectator', ws });
+
+                const missedCalls = lastCallSequence === undefined ? [] : getMissedCalls(room, lastCallSequence);
+                sendMessageToClient(ws, { type: 'SPECTATOR_JOIN_SUCCESS', payload: { ...buildSpectatorPayload(room), missedCalls } });
+                console.log(`Spectator ${spectatorId} is watching room ${roomId}`);
+                break;
+            }
 
-                room.gameStatus = 'running';
-                room.numbersCalled = [];
-                room.availableNumbers = Array.from({ length: 90 }, (_, i) => i + 1);
-                room.rules = payload.rulesConfig; // Admin client sends the rules with calculated coinsPerPrize
-                room.totalMoneyCollected = parseFloat(payload.totalMoneyCollected);
-                room.callingMode = payload.callingMode || 'manual';
-                room.autoCallInterval = parseInt(payload.autoCallInterval, 10) || 5;
-                room.winners = []; // Reset winners for a new game
-                if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId); // Clear any old timer
+            case 'RESUME_SESSION': {
+                const { resumeToken, lastCallSequence } = payload || {}; // lastCallSequence: the client missed whatever came after it
+                const unverifiedClaims = decodeResumeToken(resumeToken);
+                const room = unverifiedClaims && rooms[unverifiedClaims.roomId];
+                const claims = room && verifyResumeToken(resumeToken, room.sessionSecret, RESUME_TOKEN_MAX_AGE_MS);
+                if (!claims) {
+                    return sendMessageToClient(ws, { type: 'SESSION_RESUME_FAILED', payload: { code: ERROR_CODES.INVALID_SESSION, message: 'Session expired or invalid. Please join again.' } });
+                }
+                const missedCalls = lastCallSequence === undefined ? [] : getMissedCalls(room, lastCallSequence);
 
-                broadcastToRoom(connectionInfo.roomId, {
-                    type: 'GAME_STARTED',
-                    payload: {
-                        rules: room.rules.filter(r => r.isActive),
-                        callingMode: room.callingMode,
-                        autoCallInterval: room.autoCallInterval,
-                        totalMoneyCollected: room.totalMoneyCollected,
-                        startTime: new Date().toISOString(),
-                        adminName: room.admin.name // For player display
+                if (claims.role === 'admin') {
+                    if (!room.admin || room.admin.id !== claims.playerId) {
+                        return sendMessageToClient(ws, { type: 'SESSION_RESUME_FAILED', payload: { code: ERROR_CODES.INVALID_SESSION, message: 'You are no longer the admin of this room.' } });
                     }
-                });
-                console.log(`Game started in room ${connectionInfo.roomId} by admin ${room.admin.name}. Mode: ${room.callingMode}`);
-                if (room.callingMode === 'auto' && room.gameStatus === 'running') {
-                    // Start server-side auto-calling
-                    const autoCallFn = () => {
-                        if (room.gameStatus === 'running' && room.callingMode === 'auto' && room.availableNumbers.length > 0) {
-                            callNextNumberForRoom(connectionInfo.roomId);
-                            room.autoCallTimerId = setTimeout(autoCallFn, room.autoCallInterval * 1000);
-                        } else {
-                            if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
-                        }
-                    };
-                    room.autoCallTimerId = setTimeout(autoCallFn, room.autoCallInterval * 1000); // Initial call after interval
+                    if (room.admin.ws && room.admin.ws !== ws) {
+                        playerConnections.delete(room.admin.ws);
+                        room.admin.ws.close(4000, 'Session resumed elsewhere');
+                    }
+                    room.admin.ws = ws;
+                    playerConnections.set(ws, { roomId: room.id, playerId: room.admin.id, type: 'admin', ws });
+                    if (room.gameStatus === 'running' && room.callingMode === 'auto' && !room.autoCallTimerId) {
+                        startAutoCalling(room.id);
+                    }
+                    sendMessageToClient(ws, { type: 'ROOM_JOINED_SUCCESS', payload: { ...buildAdminRoomPayload(room), resumed: true, missedCalls } });
+                    broadcastToRoom(room.id, { type: 'ADMIN_STATUS_UPDATE', payload: { adminName: room.admin.name, isConnected: true } }, ws);
+                    console.log(`Admin ${room.admin.name} resumed session in room ${room.id}`);
+                    break;
+                }
+
+                if (claims.role === 'cohost') {
+                    const cohost = (room.cohosts || []).find(c => c.id === claims.playerId);
+                    if (!cohost) {
+                        return sendMessageToClient(ws, { type: 'SESSION_RESUME_FAILED', payload: { code: ERROR_CODES.INVALID_SESSION, message: 'You are no longer a co-host of this room.' } });
+                    }
+                    if (cohost.ws && cohost.ws !== ws) {
+                        playerConnections.delete(cohost.ws);
+                        cohost.ws.close(4000, 'Session resumed elsewhere');
+                    }
+                    cohost.ws = ws;
+                    playerConnections.set(ws, { roomId: room.id, playerId: cohost.id, type: 'cohost', ws });
+                    sendMessageToClient(ws, { type: 'ROOM_JOINED_SUCCESS', payload: { ...buildAdminRoomPayload(room, cohost, 'cohost'), resumed: true, missedCalls } });
+                    sendToRoomHosts(room, { type: 'COHOST_LIST_UPDATE', payload: { cohosts: getCohostListPayload(room) } }, ws);
+                    console.log(`Co-host ${cohost.name} resumed session in room ${room.id}`);
+                    break;
+                }
+
+                const player = room.players.find(p => p.id === claims.playerId);
+                if (!player) {
+                    return sendMessageToClient(ws, { type: 'SESSION_RESUME_FAILED', payload: { code: ERROR_CODES.INVALID_SESSION, message: 'Your seat in this room has expired. Please join again.' } });
+                }
+                attachPlayerSocket(room, player, ws);
+                logEvent(room, 'PLAYER_RECONNECTED', { playerId: player.id, playerName: player.name });
+                persistRoom(room.id);
+                sendMessageToClient(ws, { type: 'PLAYER_JOIN_SUCCESS', payload: { ...buildPlayerJoinPayload(room, player), resumed: true, missedCalls } });
+                broadcastToRoom(room.id, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } }, ws);
+                console.log(`Player ${player.name} (ID: ${player.id}) resumed session in room ${room.id}`);
+                break;
+            }
+
+            // --- Admin Actions ---
+            case 'ADMIN_START_GAME': {
+                const result = startGame(rooms[connectionInfo.roomId], payload);
+                if (!result.ok) return sendError(ws, result.code, result.message);
+                break;
+            }
+
+            case 'ADMIN_SCHEDULE_GAME': { // Same settings as ADMIN_START_GAME, plus when
+                const { startAt, ticketCutoffMinutes, ...settings } = payload;
+                const result = scheduleGame(rooms[connectionInfo.roomId], settings, startAt, ticketCutoffMinutes);
+                if (!result.ok) return sendError(ws, result.code, result.message);
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: result.message } });
+                break;
+            }
+
+            case 'ADMIN_CANCEL_SCHEDULED_GAME': {
+                const room = rooms[connectionInfo.roomId];
+                if (!cancelScheduledGame(room, `The scheduled game was cancelled by ${getCurrentActor().name}.`)) {
+                    return sendError(ws, ERROR_CODES.INVALID_STATE, 'No game is scheduled.');
                 }
                 break;
             }
 
             case 'ADMIN_CALL_NUMBER': { // Only for manual mode
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
                 const room = rooms[connectionInfo.roomId];
                 if (room && room.gameStatus === 'running' && room.callingMode === 'manual') {
                     callNextNumberForRoom(connectionInfo.roomId);
                 } else {
-                    sendMessageToClient(ws, {type: 'ERROR', payload: {message: 'Cannot call number. Game not running or not in manual mode.'}});
+                    sendError(ws, ERROR_CODES.INVALID_STATE, 'Cannot call number. Game not running or not in manual mode.');
                 }
                 break;
             }
 
             case 'ADMIN_PAUSE_GAME': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
                 const room = rooms[connectionInfo.roomId];
                 if (room && room.gameStatus === 'running' && room.callingMode === 'auto') {
                     if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
                     room.gameStatus = 'paused';
+                    logEvent(room, 'GAME_PAUSED');
+                    persistRoom(connectionInfo.roomId);
                     broadcastToRoom(connectionInfo.roomId, { type: 'GAME_PAUSED', payload: { status: room.gameStatus } });
                     console.log(`Game paused in room ${connectionInfo.roomId}`);
                 }
@@ -490,51 +2084,98 @@ wss.on('connection', (ws) => {
             }
 
             case 'ADMIN_RESUME_GAME': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
                 const room = rooms[connectionInfo.roomId];
                 if (room && room.gameStatus === 'paused' && room.callingMode === 'auto') {
                     room.gameStatus = 'running';
+                    logEvent(room, 'GAME_RESUMED');
+                    persistRoom(connectionInfo.roomId);
                     broadcastToRoom(connectionInfo.roomId, { type: 'GAME_RESUMED', payload: { status: room.gameStatus } });
                     console.log(`Game resumed in room ${connectionInfo.roomId}`);
                     // Restart server-side auto-calling
-                    const autoCallFn = () => {
-                        if (room.gameStatus === 'running' && room.callingMode === 'auto' && room.availableNumbers.length > 0) {
-                            callNextNumberForRoom(connectionInfo.roomId);
-                            room.autoCallTimerId = setTimeout(autoCallFn, room.autoCallInterval * 1000);
-                        } else {
-                            if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
-                        }
-                    };
-                    autoCallFn(); // Call immediately then set timer
+                    startAutoCalling(connectionInfo.roomId, true); // Call immediately then set timer
+                }
+                break;
+            }
+
+            case 'ADMIN_STOP_GAME': {
+                const room = rooms[connectionInfo.roomId];
+                if (room && (room.gameStatus === 'running' || room.gameStatus === 'paused')) {
+                    if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
+                    room.gameStatus = 'stopped';
+                    persistRoom(connectionInfo.roomId);
+                    broadcastToRoom(connectionInfo.roomId, { type: 'GAME_STOPPED', payload: { status: room.gameStatus } });
+                    console.log(`Game stopped in room ${connectionInfo.roomId}`);
+                    broadcastToRoom(connectionInfo.roomId, { type: 'GAME_SUMMARY_BROADCAST', payload: recordCompletedGame(room) });
+                    broadcastToRoom(connectionInfo.roomId, { type: 'SESSION_LEADERBOARD', payload: buildSessionPayload(room) });
+                }
+                break;
+            }
+
+            case 'ADMIN_NEW_SESSION': { // Clears the leaderboard and prize coins for a fresh evening; wallet balances and archived games stay
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                if (room.gameStatus === 'running' || room.gameStatus === 'paused') {
+                    return sendError(ws, ERROR_CODES.INVALID_STATE, 'Stop the current game before starting a new session.');
+                }
+                room.session = createSession();
+                room.players.forEach(p => { p.coins = 0; });
+                logEvent(room, 'SESSION_STARTED', { sessionId: room.session.id });
+                persistRoom(connectionInfo.roomId);
+                broadcastToRoom(connectionInfo.roomId, { type: 'SESSION_LEADERBOARD', payload: buildSessionPayload(room) });
+                sendToRoomHosts(room, { type: 'ROOM_ACCESS_UPDATED', payload: getRoomAccessPayload(room) }); // Bans were lifted
+                break;
+            }
+
+            case 'ADMIN_UPDATE_TICKET_PRICE': { // Applies to tickets issued from now on
+                const room = rooms[connectionInfo.roomId];
+                const ticketPrice = roundMoney(payload.ticketPrice);
+                if (!room) break;
+                if (!(ticketPrice >= 0)) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, 'Ticket price must be 0 or more.');
+                }
+                room.ticketPrice = ticketPrice;
+                persistRoom(connectionInfo.roomId);
+                broadcastToRoom(connectionInfo.roomId, { type: 'TICKET_PRICE_UPDATED', payload: { ticketPrice } });
+                break;
+            }
+
+            case 'ADMIN_ADJUST_BALANCE': { // Manual entry: cash taken at the door, payouts handed over, corrections
+                const { targetPlayerId, note } = payload;
+                const amount = roundMoney(payload.amount);
+                const room = rooms[connectionInfo.roomId];
+                const player = room?.players.find(p => p.id === targetPlayerId);
+                if (!room || !player) {
+                    return sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, `Player ${targetPlayerId} not found in room ${connectionInfo.roomId}.`);
+                }
+                if (!amount) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, 'Adjustment amount must be a non-zero number.');
                 }
+                recordLedgerEntry(room, player, { type: 'adjustment', amount, note: String(note || '').slice(0, 200), by: room.admin.name });
+                persistRoom(connectionInfo.roomId);
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Adjusted ${player.name}'s balance by ${amount.toFixed(2)}.` } });
                 break;
             }
 
-            case 'ADMIN_STOP_GAME': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
+            case 'ADMIN_EXPORT_LEDGER': {
                 const room = rooms[connectionInfo.roomId];
-                if (room && (room.gameStatus === 'running' || room.gameStatus === 'paused')) {
-                    if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
-                    room.gameStatus = 'stopped';
-                    broadcastToRoom(connectionInfo.roomId, { type: 'GAME_STOPPED', payload: { status: room.gameStatus } });
-                    console.log(`Game stopped in room ${connectionInfo.roomId}`);
-                    // Optionally, prepare and broadcast a game summary
-                    const gameSummary = {
-                        totalNumbersCalled: room.numbersCalled.length,
-                        winners: room.winners,
-                        players: room.players.map(p => ({name: p.name, tickets: p.tickets.length, coins: p.coins}))
-                    };
-                    broadcastToRoom(connectionInfo.roomId, { type: 'GAME_SUMMARY_BROADCAST', payload: gameSummary });
+                if (room) {
+                    const filename = `ledger_${room.id}_${new Date().toISOString().slice(0, 10)}.csv`;
+                    sendMessageToClient(ws, { type: 'LEDGER_EXPORT', payload: { filename, csv: ledgerToCsv(room.ledger || []) } });
                 }
                 break;
             }
 
             case 'ADMIN_UPDATE_RULES': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
                 const room = rooms[connectionInfo.roomId];
                 if (room && payload.rules && payload.financials) {
+                    const patternError = validateRulePatterns(payload.rules);
+                    if (patternError) {
+                        return sendError(ws, ERROR_CODES.INVALID_VALUE, patternError);
+                    }
                     room.rules = payload.rules;
                     room.totalMoneyCollected = parseFloat(payload.financials.totalMoneyCollected);
+                    logEvent(room, 'RULES_UPDATED', { rules: room.rules, totalMoneyCollected: room.totalMoneyCollected });
+                    persistRoom(connectionInfo.roomId);
 
                     // Broadcast updated rules to players
                     broadcastToRoom(connectionInfo.roomId, { type: 'RULES_UPDATED', payload: { rules: room.rules.filter(r => r.isActive), totalMoneyCollected: room.totalMoneyCollected } }, ws); // Exclude admin who sent it
@@ -544,125 +2185,314 @@ wss.on('connection', (ws) => {
                 break;
             }
 
+            case 'ADMIN_UPDATE_ROOM_ACCESS': {
+                // Any field left undefined is unchanged; an empty string removes that protection (or the player limit)
+                const { adminSecret, joinCode, cohostCode, maxPlayers, lockJoinsDuringGame } = payload || {};
+                const room = rooms[connectionInfo.roomId];
+                const playerLimit = maxPlayers ? parseInt(maxPlayers, 10) : null;
+                if (playerLimit !== null && !(playerLimit >= 1 && playerLimit <= MAX_PLAYERS_LIMIT)) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, `Max players must be between 1 and ${MAX_PLAYERS_LIMIT}.`);
+                }
+                if (maxPlayers !== undefined) room.maxPlayers = playerLimit; // Players already seated above a lowered limit stay
+                if (lockJoinsDuringGame !== undefined) room.lockJoinsDuringGame = !!lockJoinsDuringGame;
+                if (adminSecret !== undefined) room.adminSecretHash = adminSecret ? hashSecret(adminSecret) : null;
+                if (joinCode !== undefined) room.joinCode = joinCode ? String(joinCode).trim() : '';
+                if (cohostCode !== undefined) room.cohostCodeHash = cohostCode ? hashSecret(cohostCode) : null;
+                persistRoom(connectionInfo.roomId);
+
+                sendToRoomHosts(room, { type: 'ROOM_ACCESS_UPDATED', payload: getRoomAccessPayload(room) });
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: 'Room access settings updated.' } });
+                console.log(`Room access updated for room ${connectionInfo.roomId}`);
+                break;
+            }
+
             case 'ADMIN_APPROVE_TICKET_REQUEST': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
-                const { targetPlayerId } = payload; // Admin client sends targetPlayerId
+                const { targetPlayerId, quantity } = payload; // Admin client sends targetPlayerId; quantity defaults to what was requested
                 const room = rooms[connectionInfo.roomId];
                 const player = room?.players.find(p => p.id === targetPlayerId);
 
                 if (room && player) {
-                    if (player.tickets.length >= 5) {
-                        return sendMessageToClient(ws, { type: 'ADMIN_ACTION_FAIL', payload: { message: `${player.name} already has the maximum of 5 tickets.` } });
+                    const result = approveTicketRequest(room, player, quantity);
+                    if (!result.ok) {
+                        return sendError(ws, result.code, result.message);
                     }
-                    const newTicketNumbers = generateTambolaTicket();
-                    const newTicket = { id: generateUniqueId(), numbers: newTicketNumbers, marked: [] };
-                    player.tickets.push(newTicket);
+                    persistRoom(connectionInfo.roomId);
 
                     if (player.ws) { // If player is connected
-                        sendMessageToClient(player.ws, { type: 'TICKET_APPROVED', payload: { ticket: newTicket, allTickets: player.tickets } });
+                        sendMessageToClient(player.ws, { type: 'TICKET_APPROVED', payload: { ticket: result.tickets[0], tickets: result.tickets, allTickets: player.tickets } });
                     }
-                    sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Ticket approved for ${player.name}. They now have ${player.tickets.length} tickets.` } });
-                    broadcastToRoom(connectionInfo.roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: room.players.map(p => ({id: p.id, name: p.name, ticketCount: p.tickets.length})) } });
+                    sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: result.message } });
+                    sendToRoomHosts(room, { type: 'TICKET_REQUEST_RESOLVED', payload: { playerId: player.id, status: 'approved' } }, ws);
+                    broadcastToRoom(connectionInfo.roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
                 } else {
-                    sendMessageToClient(ws, { type: 'ADMIN_ACTION_FAIL', payload: { message: `Player ${targetPlayerId} not found in room ${connectionInfo.roomId}.` } });
+                    sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, `Player ${targetPlayerId} not found in room ${connectionInfo.roomId}.`);
+                }
+                break;
+            }
+
+            case 'ADMIN_APPROVE_ALL_TICKET_REQUESTS': {
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                let issued = 0;
+                const failures = [];
+                room.players.filter(p => p.ticketRequest).forEach(player => {
+                    const result = approveTicketRequest(room, player);
+                    if (!result.ok) {
+                        failures.push(result);
+                        return;
+                    }
+                    issued += result.tickets.length;
+                    if (player.ws) sendMessageToClient(player.ws, { type: 'TICKET_APPROVED', payload: { ticket: result.tickets[0], tickets: result.tickets, allTickets: player.tickets } });
+                    sendToRoomHosts(room, { type: 'TICKET_REQUEST_RESOLVED', payload: { playerId: player.id, status: 'approved' } });
+                });
+                persistRoom(connectionInfo.roomId);
+                broadcastToRoom(connectionInfo.roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+                const summary = [`Approved ${issued} ticket(s).`, ...failures.map(f => f.message)].join(' ');
+                if (failures.length) sendError(ws, failures[0].code, summary);
+                else sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: summary } });
+                break;
+            }
+
+            case 'ADMIN_REVOKE_TICKET': {
+                const { targetPlayerId, ticketId, reason } = payload;
+                const room = rooms[connectionInfo.roomId];
+                const player = room?.players.find(p => p.id === targetPlayerId);
+                if (!room || !player) {
+                    return sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, `Player ${targetPlayerId} not found in room ${connectionInfo.roomId}.`);
+                }
+                const result = revokeTicket(room, player, ticketId, reason);
+                if (!result.ok) {
+                    return sendError(ws, result.code, result.message);
+                }
+                persistRoom(connectionInfo.roomId);
+                if (player.ws) sendMessageToClient(player.ws, { type: 'TICKET_REVOKED', payload: { ticketId, reason: reason || '', refund: result.refund, allTickets: player.tickets } });
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: result.message } });
+                broadcastToRoom(connectionInfo.roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+                break;
+            }
+
+            case 'ADMIN_GENERATE_PAPER_TICKETS': {
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const result = generatePaperTickets(room, payload.count);
+                if (!result.ok) return sendError(ws, result.code, result.message);
+                persistRoom(room.id);
+                sendMessageToClient(ws, { type: 'PAPER_TICKETS_GENERATED', payload: { tickets: result.tickets } });
+                sendToRoomHosts(room, { type: 'PAPER_TICKETS_UPDATED', payload: { paperTickets: getPaperTickets(room) } });
+                broadcastToRoom(room.id, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+                console.log(`${result.tickets.length} paper ticket(s) generated in room ${room.id}`);
+                break;
+            }
+
+            case 'ADMIN_CHECK_PAPER_TICKET': { // Read-only: what the ticket has won so far
+                const room = rooms[connectionInfo.roomId];
+                const found = room && findPaperTicket(room, payload.serial);
+                if (!found) return sendError(ws, ERROR_CODES.NOT_FOUND, `No paper ticket with serial ${payload.serial}.`);
+                const { holder, ticket } = found;
+                sendMessageToClient(ws, {
+                    type: 'PAPER_TICKET_CHECKED',
+                    payload: {
+                        serial: formatSerial(ticket.serial),
+                        numbers: ticket.numbers,
+                        checkCodeMatches: payload.checkCode ? checkCodeMatches(ticket, payload.checkCode) : null, // null = not entered
+                        cancelled: !!ticket.cancelled,
+                        calledNumbers: room.numbersCalled,
+                        prizes: getPaperTicketPrizes(room, holder, ticket)
+                    }
+                });
+                break;
+            }
+
+            case 'ADMIN_AWARD_PAPER_CLAIM': {
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const result = awardPaperClaim(room, payload.serial, payload.checkCode, payload.prizeRuleId);
+                if (!result.ok) return sendError(ws, result.code, result.message);
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: result.message } });
+                break;
+            }
+
+            case 'ADMIN_UPDATE_TICKET_LIMITS': {
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const max = payload.maxTicketsPerPlayer ? parseInt(payload.maxTicketsPerPlayer, 10) : null;
+                if (max !== null && !(max >= 1 && max <= MAX_TICKETS_LIMIT)) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, `Max tickets per player must be between 1 and ${MAX_TICKETS_LIMIT}.`);
+                }
+                room.maxTicketsPerPlayer = max; // Players already above a lowered limit keep their tickets
+                room.lockTicketsAfterFirstCall = !!payload.lockTicketsAfterFirstCall;
+                persistRoom(connectionInfo.roomId);
+                broadcastToRoom(room.id, {
+                    type: 'TICKET_LIMITS_UPDATED',
+                    payload: { maxTicketsPerPlayer: getMaxTicketsPerPlayer(room), customMaxTicketsPerPlayer: room.maxTicketsPerPlayer, lockTicketsAfterFirstCall: room.lockTicketsAfterFirstCall }
+                });
+                break;
+            }
+
+            case 'ADMIN_UPDATE_CALL_PHRASES': { // Takes effect from the next call
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const { callPhrases, error } = normalizeCallPhrases(payload);
+                if (error) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, error);
                 }
+                room.callPhrases = callPhrases;
+                persistRoom(connectionInfo.roomId);
+                sendToRoomHosts(room, { type: 'CALL_PHRASES_UPDATED', payload: { callPhrases } });
                 break;
             }
 
             case 'ADMIN_REJECT_TICKET_REQUEST': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
                 const { targetPlayerId, reason } = payload;
                 const room = rooms[connectionInfo.roomId];
                 const player = room?.players.find(p => p.id === targetPlayerId);
 
+                if (player) delete player.ticketRequest;
                 if (room && player && player.ws) {
                     sendMessageToClient(player.ws, { type: 'TICKET_REJECTED', payload: { reason: reason || "Admin rejected the ticket request." } });
                 }
+                if (room) persistRoom(connectionInfo.roomId);
                 sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Ticket request for ${player ? player.name : targetPlayerId} rejected.` } });
+                if (room) sendToRoomHosts(room, { type: 'TICKET_REQUEST_RESOLVED', payload: { playerId: targetPlayerId, status: 'rejected' } }, ws);
                 break;
             }
 
             case 'ADMIN_APPROVE_PRIZE_CLAIM': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
                 const { claimId, targetPlayerId, prizeName, prizeRuleId } = payload;
                 const room = rooms[connectionInfo.roomId];
                 const player = room?.players.find(p => p.id === targetPlayerId);
                 const ruleInfo = room?.rules.find(r => r.id === prizeRuleId && r.isActive);
 
                 if (!room || !player || !ruleInfo) {
-                    return sendMessageToClient(ws, { type: 'ADMIN_ACTION_FAIL', payload: { message: `Cannot approve claim. Player, room, or rule not found/active.` } });
+                    return sendError(ws, ERROR_CODES.NOT_FOUND, `Cannot approve claim. Player, room, or rule not found/active.`);
                 }
-                 // Check maxPrizes for the rule
-                const winnersForThisRule = room.winners.filter(w => w.prizeRuleId === prizeRuleId).length;
-                if (winnersForThisRule >= (ruleInfo.maxPrizes || 1)) {
-                     return sendMessageToClient(ws, {type: 'ADMIN_ACTION_FAIL', payload: {message: `Max winners already reached for '${prizeName}'.`}});
+                const result = approvePrizeClaim(room, player, ruleInfo, claimId);
+                if (!result.ok) {
+                    return sendError(ws, result.code, result.message);
                 }
+                const payoutNote = result.awaitingDraw ? 'Paid after the tie draw, when the next number is called.' : `Coins: ${result.coinsAwarded.toFixed(2)}`;
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Prize '${prizeName}' approved for ${player.name}. ${payoutNote}` } });
+                sendToRoomHosts(room, { type: 'PRIZE_CLAIM_RESOLVED', payload: { claimId, status: 'approved' } }, ws);
+                break;
+            }
 
-                const coinsAwarded = parseFloat(ruleInfo.coinsPerPrize) || 0;
-                player.coins = parseFloat(((player.coins || 0) + coinsAwarded).toFixed(2));
+            case 'ADMIN_REJECT_PRIZE_CLAIM': {
+                const { claimId, targetPlayerId, prizeName, reason } = payload;
+                const room = rooms[connectionInfo.roomId];
+                const player = room?.players.find(p => p.id === targetPlayerId);
+                if (room && player) {
+                    const result = rejectPrizeClaim(room, player, claimId, prizeName, reason);
+                    if (!result.ok) {
+                        return sendError(ws, result.code, result.message);
+                    }
+                }
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Prize claim for '${prizeName}' by ${player ? player.name : targetPlayerId} rejected.` } });
+                if (room) sendToRoomHosts(room, { type: 'PRIZE_CLAIM_RESOLVED', payload: { claimId, status: 'rejected' } }, ws);
+                break;
+            }
 
-                room.winners.push({
-                    claimId,
-                    playerId: player.id,
-                    playerName: player.name,
-                    prizeName,
-                    prizeRuleId,
-                    coins: coinsAwarded,
-                    timestamp: new Date().toISOString()
-                });
+            case 'ADMIN_UPDATE_CLAIM_PENALTIES': {
+                const { bogeyRules, claimRateLimit } = payload || {};
+                const room = rooms[connectionInfo.roomId];
+                if (bogeyRules) {
+                    room.bogeyRules = {
+                        penaltyCoins: Math.max(0, parseFloat(bogeyRules.penaltyCoins) || 0),
+                        lockPrize: !!bogeyRules.lockPrize,
+                        cancelTicketAfterStrikes: Math.max(0, parseInt(bogeyRules.cancelTicketAfterStrikes, 10) || 0)
+                    };
+                }
+                if (claimRateLimit) {
+                    room.claimRateLimit = {
+                        maxClaims: Math.max(0, parseInt(claimRateLimit.maxClaims, 10) || 0), // 0 turns the limit off
+                        perSeconds: Math.max(1, parseInt(claimRateLimit.perSeconds, 10) || DEFAULT_CLAIM_RATE_LIMIT.perSeconds)
+                    };
+                }
+                persistRoom(connectionInfo.roomId);
+                sendToRoomHosts(room, { type: 'CLAIM_PENALTIES_UPDATED', payload: { bogeyRules: getBogeyRules(room), claimRateLimit: getClaimRateLimit(room) } });
+                console.log(`Claim penalties updated for room ${connectionInfo.roomId}`);
+                break;
+            }
 
-                if (player.ws) {
-                    sendMessageToClient(player.ws, {
-                        type: 'CLAIM_STATUS_UPDATE',
-                        payload: { claimId, prizeName, status: 'approved', coinsAwarded, totalCoins: player.coins }
-                    });
+            case 'ADMIN_UPDATE_TICKET_MODE': {
+                // Only affects tickets issued from now on
+                const { ticketMode } = payload || {};
+                if (!['single', 'strip'].includes(ticketMode)) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, `Unknown ticket mode "${ticketMode}".`);
                 }
-                broadcastToRoom(connectionInfo.roomId, { type: 'WINNER_ANNOUNCEMENT', payload: { playerId: player.id, playerName: player.name, prizeName, prizeRuleId, coins: coinsAwarded, claimId: claimId } });
-                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Prize '${prizeName}' approved for ${player.name}. Coins: ${coinsAwarded.toFixed(2)}` } });
+                const room = rooms[connectionInfo.roomId];
+                room.ticketMode = ticketMode;
+                persistRoom(connectionInfo.roomId);
+                broadcastToRoom(room.id, { type: 'TICKET_MODE_UPDATED', payload: { ticketMode, maxTicketsPerPlayer: getMaxTicketsPerPlayer(room) } });
+                console.log(`Ticket mode set to ${ticketMode} in room ${connectionInfo.roomId}`);
                 break;
             }
 
-            case 'ADMIN_REJECT_PRIZE_CLAIM': {
-                if (!connectionInfo || connectionInfo.type !== 'admin' || !rooms[connectionInfo.roomId] || rooms[connectionInfo.roomId].admin.id !== connectionInfo.playerId) return;
-                const { claimId, targetPlayerId, prizeName, reason } = payload;
+            case 'ADMIN_UPDATE_MARKING_MODE': {
+                const { markingMode } = payload || {};
+                if (!MARKING_MODES.includes(markingMode)) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, `Unknown marking mode "${markingMode}".`);
+                }
                 const room = rooms[connectionInfo.roomId];
-                const player = room?.players.find(p => p.id === targetPlayerId);
+                // Auto-marks made before the switch were never sent to the server, so daub claims would miss them
+                if (room.gameStatus === 'running' || room.gameStatus === 'paused') {
+                    return sendError(ws, ERROR_CODES.INVALID_STATE, 'The marking mode can only be changed between games.');
+                }
+                room.markingMode = markingMode;
+                persistRoom(connectionInfo.roomId);
+                broadcastToRoom(room.id, { type: 'MARKING_MODE_UPDATED', payload: { markingMode } });
+                console.log(`Marking mode set to ${markingMode} in room ${connectionInfo.roomId}`);
+                break;
+            }
 
-                if (room && player && player.ws) {
-                    sendMessageToClient(player.ws, {
-                        type: 'CLAIM_STATUS_UPDATE',
-                        payload: { claimId, prizeName, status: 'rejected', reason: reason || "Claim did not meet criteria." }
-                    });
+            case 'ADMIN_UPDATE_CLAIM_MODE': {
+                // Separate from ADMIN_UPDATE_RULES so it can be switched mid-game when the claim queue backs up
+                const { claimMode } = payload || {};
+                if (!CLAIM_MODES.includes(claimMode)) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, `Unknown claim mode "${claimMode}".`);
                 }
-                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Prize claim for '${prizeName}' by ${player ? player.name : targetPlayerId} rejected.` } });
+                const room = rooms[connectionInfo.roomId];
+                room.claimMode = claimMode;
+                persistRoom(connectionInfo.roomId);
+                sendToRoomHosts(room, { type: 'CLAIM_MODE_UPDATED', payload: { claimMode } });
+                console.log(`Claim mode set to ${claimMode} in room ${connectionInfo.roomId}`);
                 break;
             }
 
             // --- Player Actions ---
             case 'PLAYER_REQUEST_TICKET': {
-                if (!connectionInfo || connectionInfo.type !== 'player') return;
                 const room = rooms[connectionInfo.roomId];
                 const player = room?.players.find(p => p.id === connectionInfo.playerId);
 
                 if (room && player) {
-                    if (player.tickets.length >= 5) {
-                        return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Maximum 5 tickets allowed.' } });
+                    const quantity = parseInt(payload.quantity, 10) || 1;
+                    const available = getMaxTicketsPerPlayer(room) - player.tickets.length;
+                    if (areTicketsLocked(room)) {
+                        return sendError(ws, ERROR_CODES.INVALID_STATE, 'Tickets are locked once the first number has been called. Try again before the next game.');
                     }
-                    if (room.admin && room.admin.ws && room.admin.ws.readyState === WebSocket.OPEN) {
-                        sendMessageToClient(room.admin.ws, {
+                    if (isTicketCutoffPassed(room)) {
+                        return sendError(ws, ERROR_CODES.INVALID_STATE, 'Ticket requests for the scheduled game are closed.');
+                    }
+                    if (quantity < 1 || quantity > available) {
+                        return sendError(ws, ERROR_CODES.LIMIT_REACHED, `Maximum ${getMaxTicketsPerPlayer(room)} tickets allowed; you can request up to ${Math.max(available, 0)} more.`);
+                    }
+                    const hostsConnected = getConnectedHostSockets(room).length > 0;
+                    if (hostsConnected || room.schedule) { // Before a scheduled game, requests wait for a host to arrive
+                        player.ticketRequest = { quantity, requestedAt: new Date().toISOString() }; // A newer request replaces an older one
+                        persistRoom(connectionInfo.roomId);
+                        sendToRoomHosts(room, {
                             type: 'ADMIN_TICKET_REQUEST_RECEIVED',
-                            payload: { playerId: player.id, playerName: player.name, currentTickets: player.tickets.length }
+                            payload: { playerId: player.id, playerName: player.name, currentTickets: player.tickets.length, quantity }
                         });
-                        sendMessageToClient(ws, { type: 'PLAYER_TICKET_REQUEST_SENT', payload: {message: "Ticket request sent to admin."} });
+                        const sentMessage = hostsConnected ? `Request for ${quantity} ticket(s) sent to admin.` : `Request for ${quantity} ticket(s) saved. A host will approve it when they arrive.`;
+                        sendMessageToClient(ws, { type: 'PLAYER_TICKET_REQUEST_SENT', payload: { message: sentMessage } });
                     } else {
-                        sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Admin not available to approve ticket.' } });
+                        sendError(ws, ERROR_CODES.NO_HOST_AVAILABLE, 'No admin or co-host available to approve ticket.');
                     }
                 }
                 break;
             }
 
             case 'PLAYER_CLAIM_PRIZE': {
-                if (!connectionInfo || connectionInfo.type !== 'player') return;
                 // **MODIFICATION START for duplicate claim fix**
                 const { prizeRuleId, ticketId, clientTempClaimId } = payload; // Expect clientTempClaimId
                 // **MODIFICATION END**
@@ -672,91 +2502,352 @@ wss.on('connection', (ws) => {
                 const ticketForClaim = player?.tickets.find(t => t.id === ticketId);
 
                 if (!room || !player || !ruleToClaim || !ticketForClaim) {
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Invalid claim: Room, player, rule, or ticket not found.' } });
+                    return sendError(ws, ERROR_CODES.NOT_FOUND, 'Invalid claim: Room, player, rule, or ticket not found.');
                 }
                 if (room.gameStatus !== 'running') {
-                    return sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Game is not currently running.' } });
+                    return sendError(ws, ERROR_CODES.INVALID_STATE, 'Game is not currently running.');
+                }
+                if (ticketForClaim.cancelled) {
+                    return sendError(ws, ERROR_CODES.FORBIDDEN, 'This ticket was cancelled after too many false claims.');
+                }
+                if ((player.lockedPrizeRuleIds || []).includes(ruleToClaim.id)) {
+                    return sendError(ws, ERROR_CODES.FORBIDDEN, `You are locked out of '${ruleToClaim.name}' after a false claim.`);
+                }
+                const retryAfterSeconds = checkClaimRateLimit(room, player.id);
+                if (retryAfterSeconds > 0) {
+                    return sendError(ws, ERROR_CODES.RATE_LIMITED, `Too many claims. Try again in ${retryAfterSeconds}s.`);
                 }
 
-                const winnersForThisRule = room.winners.filter(w => w.prizeRuleId === prizeRuleId).length;
-                if (winnersForThisRule >= (ruleToClaim.maxPrizes || 1)) {
-                     return sendMessageToClient(ws, {type: 'ERROR', payload: {message: `Max winners already reached for '${ruleToClaim.name}'.`}});
+                const claimSlot = findClaimWindow(room, ruleToClaim, ticketForClaim.numbers, getClaimCalls(room, ticketForClaim));
+                if (!claimSlot.ok) {
+                     return sendError(ws, claimSlot.code, claimSlot.message);
                 }
                 const alreadyWonThisRuleByPlayer = room.winners.some(w => w.playerId === player.id && w.prizeRuleId === prizeRuleId);
                 if (alreadyWonThisRuleByPlayer) {
-                    return sendMessageToClient(ws, {type: 'ERROR', payload: {message: `You have already won or claimed '${ruleToClaim.name}'.`}});
+                    return sendError(ws, ERROR_CODES.ALREADY_CLAIMED, `You have already won or claimed '${ruleToClaim.name}'.`);
                 }
 
-                const isValidClaimByServer = validatePrizeClaim(ticketForClaim.numbers, room.numbersCalled, ruleToClaim.name);
+                const isValidClaimByServer = validatePrizeClaim(ticketForClaim.numbers, getClaimCalls(room, ticketForClaim), ruleToClaim, room);
+                // Daub mode: the pattern is on the board but the player missed marking part of it
+                const missedDaub = !isValidClaimByServer && getMarkingMode(room) === 'daub' && validatePrizeClaim(ticketForClaim.numbers, room.numbersCalled, ruleToClaim, room);
                 const serverGeneratedClaimId = generateUniqueId(); // Server's authoritative ID
+                const claimMode = room.claimMode || 'manual';
+                // Auto mode decides every claim itself; assisted mode only decides the invalid ones
+                const decidedByServer = claimMode === 'auto' || (claimMode === 'assisted' && !isValidClaimByServer);
 
-                if (room.admin && room.admin.ws && room.admin.ws.readyState === WebSocket.OPEN) {
-                    sendMessageToClient(room.admin.ws, {
-                        type: 'ADMIN_PRIZE_CLAIM_RECEIVED',
-                        payload: {
-                            claimId: serverGeneratedClaimId,
-                            playerId: player.id,
-                            playerName: player.name,
-                            prizeName: ruleToClaim.name,
-                            prizeRuleId: ruleToClaim.id,
-                            ticketId: ticketForClaim.id,
-                            ticketNumbers: ticketForClaim.numbers,
-                            serverValidationResult: isValidClaimByServer
-                        }
-                    });
-                    // **MODIFICATION START for duplicate claim fix**
-                    sendMessageToClient(ws, {
-                        type: 'PLAYER_CLAIM_SUBMITTED',
-                        payload: {
-                            claimId: serverGeneratedClaimId,      // Server's authoritative ID
-                            clientTempClaimId: clientTempClaimId, // Echo back client's temporary ID
-                            prizeName: ruleToClaim.name,
-                            status: 'pending_admin_approval'      // Status after server acknowledgment
-                        }
+                if (!decidedByServer && getConnectedHostSockets(room).length === 0) {
+                    return sendError(ws, ERROR_CODES.NO_HOST_AVAILABLE, 'No admin or co-host available to verify claim.');
+                }
+
+                // Kept on the player so a resumed session gets its claim history back
+                if (!player.claims) player.claims = [];
+                player.claims.push({
+                    claimId: serverGeneratedClaimId,
+                    prizeRuleId: ruleToClaim.id,
+                    prizeName: ruleToClaim.name,
+                    ticketId: ticketForClaim.id,
+                    status: 'pending_admin_approval',
+                    reason: '',
+                    serverValid: isValidClaimByServer, // Decides whether a rejection counts as a bogey
+                    markedNumbers: [...(ticketForClaim.marked || [])], // As they were when claiming
+                    callCount: room.numbersCalled.length // Which claim window it can join
+                });
+                logEvent(room, 'CLAIM_SUBMITTED', {
+                    claimId: serverGeneratedClaimId, playerId: player.id, playerName: player.name, prizeRuleId: ruleToClaim.id, prizeName: ruleToClaim.name,
+                    ticketId: ticketForClaim.id, ticketNumbers: ticketForClaim.numbers, markedNumbers: [...(ticketForClaim.marked || [])], serverValid: isValidClaimByServer
+                });
+                persistRoom(connectionInfo.roomId);
+                // **MODIFICATION START for duplicate claim fix**
+                sendMessageToClient(ws, {
+                    type: 'PLAYER_CLAIM_SUBMITTED',
+                    payload: {
+                        claimId: serverGeneratedClaimId,      // Server's authoritative ID
+                        clientTempClaimId: clientTempClaimId, // Echo back client's temporary ID
+                        prizeName: ruleToClaim.name,
+                        status: 'pending_admin_approval',     // Status after server acknowledgment
+                        autoAdjudicated: decidedByServer
+                    }
+                });
+                // **MODIFICATION END**
+
+                if (decidedByServer) {
+                    const result = isValidClaimByServer
+                        ? approvePrizeClaim(room, player, ruleToClaim, serverGeneratedClaimId, SERVER_ACTOR)
+                        : rejectPrizeClaim(room, player, serverGeneratedClaimId, ruleToClaim.name, missedDaub ? DAUB_REJECTION_REASON : SERVER_REJECTION_REASON, SERVER_ACTOR);
+                    if (!result.ok) { // e.g. another winner took the last prize slot first
+                        rejectPrizeClaim(room, player, serverGeneratedClaimId, ruleToClaim.name, result.message, SERVER_ACTOR);
+                    }
+                    const finalClaim = player.claims.find(c => c.claimId === serverGeneratedClaimId);
+                    sendToRoomHosts(room, {
+                        type: 'PRIZE_CLAIM_AUTO_RESOLVED',
+                        payload: { claimId: serverGeneratedClaimId, playerId: player.id, playerName: player.name, prizeName: ruleToClaim.name, status: finalClaim.status, reason: finalClaim.reason || '' }
                     });
-                    // **MODIFICATION END**
-                } else {
-                    sendMessageToClient(ws, { type: 'ERROR', payload: { message: 'Admin not available to verify claim.' } });
+                    console.log(`Claim ${serverGeneratedClaimId} for ${ruleToClaim.name} by ${player.name} auto-${finalClaim.status} (${claimMode} mode)`);
+                    break;
                 }
+
+                sendToRoomHosts(room, {
+                    type: 'ADMIN_PRIZE_CLAIM_RECEIVED',
+                    payload: {
+                        claimId: serverGeneratedClaimId,
+                        playerId: player.id,
+                        playerName: player.name,
+                        prizeName: ruleToClaim.name,
+                        prizeRuleId: ruleToClaim.id,
+                        ticketId: ticketForClaim.id,
+                        ticketNumbers: ticketForClaim.numbers,
+                        markedNumbers: ticketForClaim.marked || [],
+                        markingMode: getMarkingMode(room),
+                        serverValidationResult: isValidClaimByServer
+                    }
+                });
                 break;
             }
 
             case 'PLAYER_MARK_NUMBER': {
-                if (!connectionInfo || connectionInfo.type !== 'player') return;
+                // The server's marks are the real ones: they come back with a resumed session and decide daub-mode claims.
+                // Every request is answered with the ticket's marks so the page can undo a refused one.
+                const { ticketId, number, marked } = payload || {};
+                const room = rooms[connectionInfo.roomId];
+                const player = room?.players.find(p => p.id === connectionInfo.playerId);
+                const ticket = player?.tickets.find(t => t.id === ticketId);
+                if (!ticket || !ticket.numbers.flat().includes(number)) {
+                    return sendError(ws, ERROR_CODES.NOT_FOUND, 'That number is not on this ticket.');
+                }
+                if (!ticket.marked) ticket.marked = [];
+                const markIndex = ticket.marked.indexOf(number);
+                if (room.gameStatus !== 'running') {
+                    sendError(ws, ERROR_CODES.INVALID_STATE, 'Game is not currently running.');
+                } else if (marked && !room.numbersCalled.includes(number)) {
+                    sendError(ws, ERROR_CODES.INVALID_VALUE, `Number ${number} has not been called yet.`);
+                } else {
+                    if (!marked && markIndex > -1) ticket.marked.splice(markIndex, 1);
+                    else if (marked && markIndex === -1) ticket.marked.push(number);
+                    persistRoom(connectionInfo.roomId);
+                }
+                sendMessageToClient(ws, { type: 'TICKET_MARKS_UPDATE', payload: { ticketId: ticket.id, number, marked: ticket.marked } });
+                break;
+            }
+
+            // --- Chat ---
+            case 'CHAT_SEND': { // toPlayerId (hosts only) makes it a private message
+                const room = rooms[connectionInfo.roomId];
+                const sender = room && getChatSender(room, connectionInfo);
+                if (!sender) break;
+                if (sender.role === 'player' && isPlayerMuted(room, sender.id)) {
+                    return sendError(ws, ERROR_CODES.FORBIDDEN, 'You have been muted in the chat.');
+                }
+                const { toPlayerId } = payload || {};
+                if (toPlayerId && (sender.role === 'player' || !room.players.some(p => p.id === toPlayerId))) {
+                    return sender.role === 'player' ? sendError(ws, ERROR_CODES.FORBIDDEN, 'Only the hosts can send private messages.') : sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, 'That player is no longer in the room.');
+                }
+                const { text, error } = cleanChatText(room, payload && payload.text);
+                if (error) {
+                    return sendError(ws, ERROR_CODES.INVALID_VALUE, error);
+                }
+                const waitSeconds = checkChatRateLimit(sender.id);
+                if (waitSeconds > 0) {
+                    return sendError(ws, ERROR_CODES.RATE_LIMITED, `You're sending messages too quickly. Try again in ${waitSeconds}s.`);
+                }
+                const chatMessage = addChatMessage(room, { senderId: sender.id, senderName: sender.name, senderRole: sender.role, text, toPlayerId: toPlayerId || null });
+                persistRoom(room.id);
+                deliverChatMessage(room, chatMessage);
+                break;
+            }
+
+            case 'CHAT_REACTION': { // Quick reaction to the latest call; shown live, not kept in history
+                const room = rooms[connectionInfo.roomId];
+                const sender = room && getChatSender(room, connectionInfo);
+                if (!sender || (sender.role === 'player' && isPlayerMuted(room, sender.id))) break;
+                const { emoji } = payload || {};
+                if (!QUICK_REACTIONS.includes(emoji) || room.numbersCalled.length === 0) {
+                    return sendError(ws, ERROR_CODES.INVALID_STATE, 'Reactions can only be sent for a called number.');
+                }
+                if (checkChatRateLimit(sender.id) > 0) break; // Dropped quietly, there's no reply to wait for
+                broadcastToRoom(room.id, { type: 'CHAT_REACTION', payload: { senderId: sender.id, senderName: sender.name, emoji, number: room.numbersCalled[room.numbersCalled.length - 1] } });
+                break;
+            }
+
+            case 'ADMIN_MUTE_PLAYER': {
+                const room = rooms[connectionInfo.roomId];
+                const player = room?.players.find(p => p.id === payload.targetPlayerId);
+                if (!player) {
+                    return sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, 'Player not found.');
+                }
+                const muted = payload.muted !== false;
+                setPlayerMuted(room, player.id, muted);
+                persistRoom(room.id);
+                if (player.ws) sendMessageToClient(player.ws, { type: 'CHAT_MUTE_UPDATED', payload: { muted } });
+                broadcastToRoom(room.id, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `${player.name} ${muted ? 'muted' : 'unmuted'}.` } });
+                break;
+            }
+
+            case 'ADMIN_KICK_PLAYER': {
+                const room = rooms[connectionInfo.roomId];
+                const player = room?.players.find(p => p.id === payload.targetPlayerId);
+                if (!player) {
+                    return sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, 'Player not found.');
+                }
+                kickPlayer(room, player, payload.reason);
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `${player.name} was removed from the room.` } });
+                break;
+            }
+
+            case 'ADMIN_BAN_PLAYER': { // Kick, and refuse the same name or device until the next session
+                const room = rooms[connectionInfo.roomId];
+                const player = room?.players.find(p => p.id === payload.targetPlayerId);
+                if (!player) {
+                    return sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, 'Player not found.');
+                }
+                const reason = payload.reason ? String(payload.reason).trim() : '';
+                getBans(room).push({ id: generateUniqueId(), playerId: player.id, name: player.name, deviceId: player.deviceId || null, reason, bannedAt: new Date().toISOString() });
+                kickPlayer(room, player, `You have been banned from this room for the rest of the session.${reason ? ` Reason: ${reason}` : ''}`);
+                sendToRoomHosts(room, { type: 'ROOM_ACCESS_UPDATED', payload: getRoomAccessPayload(room) });
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `${player.name} was banned.` } });
+                break;
+            }
+
+            case 'ADMIN_UNBAN_PLAYER': {
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const bans = getBans(room);
+                const ban = bans.find(b => b.id === payload.banId);
+                if (!ban) {
+                    return sendError(ws, ERROR_CODES.NOT_FOUND, 'Ban not found.');
+                }
+                bans.splice(bans.indexOf(ban), 1);
+                persistRoom(room.id);
+                sendToRoomHosts(room, { type: 'ROOM_ACCESS_UPDATED', payload: getRoomAccessPayload(room) });
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `${ban.name} can join again.` } });
+                break;
+            }
+
+            case 'ADMIN_ADD_BOTS': {
+                const { count, ...settings } = payload;
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const added = addBots(room, count, settings);
+                if (added === 0) {
+                    return sendError(ws, ERROR_CODES.LIMIT_REACHED, `A room can have at most ${MAX_BOTS_PER_ROOM} bots.`);
+                }
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Adding ${added} bot${added === 1 ? '' : 's'}.` } });
+                break;
+            }
+
+            case 'ADMIN_REMOVE_BOTS': {
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const bots = getBots(room);
+                bots.forEach(bot => kickPlayer(room, bot, 'Bots removed by the host.'));
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: `Removed ${bots.length} bot${bots.length === 1 ? '' : 's'}.` } });
+                break;
+            }
+
+            case 'ADMIN_UPDATE_BOT_PAYOUTS': { // Applies to prizes won from now on
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                room.excludeBotsFromPayouts = payload.excludeBotsFromPayouts;
+                persistRoom(room.id);
+                sendToRoomHosts(room, { type: 'BOT_PAYOUTS_UPDATED', payload: { excludeBotsFromPayouts: room.excludeBotsFromPayouts } });
+                sendMessageToClient(ws, { type: 'ADMIN_ACTION_SUCCESS', payload: { message: room.excludeBotsFromPayouts ? 'Bots will not be paid for prizes.' : 'Bots will be paid like other players.' } });
+                break;
+            }
+
+            case 'ADMIN_DELETE_CHAT_MESSAGE': {
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                const chat = getChatState(room);
+                const before = chat.messages.length;
+                chat.messages = chat.messages.filter(m => m.id !== payload.messageId);
+                if (chat.messages.length === before) break;
+                persistRoom(room.id);
+                broadcastToRoom(room.id, { type: 'CHAT_MESSAGE_DELETED', payload: { messageId: payload.messageId } });
+                break;
+            }
+
+            case 'ADMIN_UPDATE_CHAT_SETTINGS': { // Applies to new messages only
+                const room = rooms[connectionInfo.roomId];
+                if (!room) break;
+                getChatState(room).filterProfanity = payload.filterProfanity !== false;
+                persistRoom(room.id);
+                sendToRoomHosts(room, { type: 'CHAT_SETTINGS_UPDATED', payload: { filterProfanity: getChatState(room).filterProfanity } });
                 break;
             }
 
             default:
-                sendMessageToClient(ws, { type: 'ERROR', payload: { message: `Unknown message type: ${type}` } });
+                sendError(ws, ERROR_CODES.UNKNOWN_MESSAGE_TYPE, `Unknown message type: ${type}`);
+        }
+    };
+
+    const processMessage = (messageString) => {
+        let message;
+        try {
+            message = JSON.parse(messageString);
+            // Only the type: payloads carry admin secrets, join codes and resume tokens
+            console.log(`Received from client: ${message && message.type}`);
+        } catch (e) {
+            console.error(`Failed to parse a ${messageString.length}-byte message as JSON.`); // The error quotes the text
+            return sendError(ws, ERROR_CODES.INVALID_JSON, 'Invalid message format.');
+        }
+
+        const { type, payload, requestId, error } = parseMessage(message, ws.protocolVersion);
+        activeRequest = { ws, requestId };
+        try {
+            if (error) {
+                const { code, message: errorMessage, ...details } = error;
+                return sendError(ws, code, errorMessage, details);
+            }
+            handleMessage(type, payload);
+        } finally {
+            activeRequest = null;
         }
+    };
+
+    ws.on('message', (messageString) => {
+        // With a shared bus the room may live on another node; the router forwards it there
+        if (roomBus.shared && !ws.isRemote && !ws.isBot) return routeMessage(ws, messageString, processMessage);
+        processMessage(messageString);
     });
 
     ws.on('close', () => {
         console.log(`Client disconnected`);
+        if (ws.clusterOwnerId) releaseRoute(ws);
         const connectionInfo = playerConnections.get(ws);
         if (connectionInfo) {
             const { roomId, playerId, type } = connectionInfo;
             const room = rooms[roomId];
             if (room) {
-                if (type === 'admin' && room.admin && room.admin.id === playerId) {
+                if (type === 'admin' && room.admin && room.admin.id === playerId && room.admin.ws === ws) {
                     console.log(`Admin ${room.admin.name} disconnected from room ${roomId}.`);
                     room.admin.ws = null;
                     if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
+                    room.autoCallTimerId = null;
                     broadcastToRoom(roomId, { type: 'ADMIN_STATUS_UPDATE', payload: { adminName: room.admin.name, isConnected: false } });
+                } else if (type === 'cohost') {
+                    const cohost = (room.cohosts || []).find(c => c.id === playerId);
+                    if (cohost && cohost.ws === ws) {
+                        cohost.ws = null;
+                        sendToRoomHosts(room, { type: 'COHOST_LIST_UPDATE', payload: { cohosts: getCohostListPayload(room) } });
+                        console.log(`Co-host ${cohost.name} disconnected from room ${roomId}.`);
+                    }
+                } else if (type === 'spectator') {
+                    room.spectators = (room.spectators || []).filter(s => s.ws !== ws);
+                    console.log(`Spectator ${playerId} left room ${roomId}.`);
                 } else if (type === 'player') {
-                    const playerIndex = room.players.findIndex(p => p.id === playerId);
-                    if (playerIndex > -1) {
-                        const playerName = room.players[playerIndex].name;
-                        room.players.splice(playerIndex, 1);
-                        broadcastToRoom(roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: room.players.map(p => ({ id: p.id, name: p.name, ticketCount: p.tickets.length })) } });
-                        console.log(`Player ${playerName} (ID: ${playerId}) disconnected from room ${roomId}`);
+                    // Keep the seat (tickets, claims, coins) for a grace period so the player can resume
+                    const player = room.players.find(p => p.id === playerId);
+                    if (player && player.ws === ws) {
+                        player.ws = null;
+                        player.isOnline = false;
+                        player.disconnectedAt = new Date().toISOString();
+                        schedulePlayerRemoval(roomId, playerId);
+                        persistRoom(roomId);
+                        broadcastToRoom(roomId, { type: 'PLAYER_LIST_UPDATE', payload: { players: getPlayerListPayload(room) } });
+                        console.log(`Player ${player.name} (ID: ${playerId}) went offline in room ${roomId}`);
                     }
                 }
-                if (room.players.length === 0 && (!room.admin || !room.admin.ws)) {
-                    console.log(`Room ${roomId} is empty and admin disconnected, cleaning up.`);
-                    if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
-                    delete rooms[roomId];
-                }
+                cleanupRoomIfEmpty(roomId);
             }
             playerConnections.delete(ws);
         }
@@ -767,41 +2858,55 @@ wss.on('connection', (ws) => {
         const connectionInfo = playerConnections.get(ws);
         if (connectionInfo) playerConnections.delete(ws);
     });
+}
+
+wss.on('connection', (ws) => {
+    ws.connectionId = generateUniqueId(); // How other nodes address this socket
+    localSockets.set(ws.connectionId, ws);
+    ws.on('close', () => localSockets.delete(ws.connectionId));
+    handleConnection(ws);
 });
 
 
 function callNextNumberForRoom(roomId) {
     const room = rooms[roomId];
     if (room && room.gameStatus === 'running' && room.availableNumbers.length > 0) {
-        const randomIndex = Math.floor(Math.random() * room.availableNumbers.length);
-        const calledNumber = room.availableNumbers.splice(randomIndex, 1)[0];
+        closeClaimWindows(room); // Ties on the current number are drawn before play moves on
+        // Seeded games call in the committed order; rooms started before draws were seeded keep drawing at random
+        const calledNumber = room.draw
+            ? room.availableNumbers.shift()
+            : room.availableNumbers.splice(Math.floor(Math.random() * room.availableNumbers.length), 1)[0];
         room.numbersCalled.push(calledNumber);
+        room.callSequence = getCallSequence(room) + 1;
+        logEvent(room, 'NUMBER_CALLED', { number: calledNumber, sequence: room.callSequence });
+        if (room.availableNumbers.length === 0) {
+            if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
+            room.gameStatus = 'stopped';
+        }
+        persistRoom(roomId);
 
         broadcastToRoom(roomId, {
             type: 'NUMBER_CALLED',
             payload: {
                 number: calledNumber,
+                sequence: room.callSequence, // Clients send the last one they saw when they reconnect
                 calledNumbersHistory: [...room.numbersCalled],
-                remainingCount: room.availableNumbers.length
+                remainingCount: room.availableNumbers.length,
+                phrase: getCallPhrase(room.callPhrases, calledNumber) // { text, lang } for speech, same on every client
             }
         });
         console.log(`Number ${calledNumber} called in room ${roomId}. Remaining: ${room.availableNumbers.length}`);
 
         if (room.availableNumbers.length === 0) {
-            if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
-            room.gameStatus = 'stopped';
             broadcastToRoom(roomId, { type: 'GAME_OVER_ALL_NUMBERS_CALLED', payload: { finalCalledNumbers: [...room.numbersCalled] } });
             console.log(`All numbers called in room ${roomId}. Game over.`);
-            const gameSummary = {
-                totalNumbersCalled: room.numbersCalled.length,
-                winners: room.winners,
-                 players: room.players.map(p => ({name: p.name, tickets: p.tickets.length, coins: p.coins}))
-            };
-            broadcastToRoom(roomId, { type: 'GAME_SUMMARY_BROADCAST', payload: gameSummary });
+            broadcastToRoom(roomId, { type: 'GAME_SUMMARY_BROADCAST', payload: recordCompletedGame(room) });
+            broadcastToRoom(roomId, { type: 'SESSION_LEADERBOARD', payload: buildSessionPayload(room) });
         }
     } else if (room && room.availableNumbers.length === 0 && room.gameStatus === 'running') {
         if (room.autoCallTimerId) clearTimeout(room.autoCallTimerId);
         room.gameStatus = 'stopped';
+        persistRoom(roomId);
         broadcastToRoom(roomId, { type: 'GAME_OVER_ALL_NUMBERS_CALLED', payload: { finalCalledNumbers: [...room.numbersCalled] } });
         console.log(`Attempted to call number, but all numbers already called in room ${roomId}.`);
     }
@@ -813,28 +2918,257 @@ app.get('/', (req, res) => res.send('Tambola Game Backend is running! Access the
 
 app.get('/health', (req, res) => res.status(200).json({ status: 'UP', timestamp: new Date().toISOString(), version: '1.2.0' })); // Incremented version
 
-app.get('/debug/rooms', (req, res) => {
-    const simplifiedRooms = {};
-    for (const roomId in rooms) {
-        simplifiedRooms[roomId] = {
-            id: rooms[roomId].id,
-            adminName: rooms[roomId].admin?.name,
-            adminConnected: !!(rooms[roomId].admin?.ws && rooms[roomId].admin.ws.readyState === WebSocket.OPEN),
-            playerCount: rooms[roomId].players.length,
-            playersConnectedCount: rooms[roomId].players.filter(p => p.ws && p.ws.readyState === WebSocket.OPEN).length,
-            gameStatus: rooms[roomId].gameStatus,
-            callingMode: rooms[roomId].callingMode,
-            calledCount: rooms[roomId].numbersCalled.length,
-            rulesCount: rooms[roomId].rules.filter(r => r.isActive).length,
-            winnersCount: rooms[roomId].winners?.length || 0,
-            createdAt: rooms[roomId].createdAt
-        };
+// --- REST API ---
+// Every /api route (and /debug/rooms) needs the ADMIN_API_KEY, sent as "Authorization: Bearer <key>" or "X-API-Key".
+function requireApiKey(req, res, next) {
+    if (!ADMIN_API_KEY) return res.status(503).json({ error: 'The REST API is disabled. Set ADMIN_API_KEY to enable it.' });
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-api-key') || '');
+    // Compare digests so the check takes the same time whatever the key length
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    if (!provided || !crypto.timingSafeEqual(digest(provided), digest(ADMIN_API_KEY))) {
+        return res.status(401).json({ error: 'Missing or invalid API key.' });
+    }
+    next();
+}
+
+function getRoomOverview(room) {
+    return {
+        id: room.id,
+        adminName: room.admin?.name,
+        adminConnected: !!(room.admin?.ws && room.admin.ws.readyState === WebSocket.OPEN),
+        playerCount: room.players.length,
+        playersConnectedCount: room.players.filter(p => p.ws && p.ws.readyState === WebSocket.OPEN).length,
+        spectatorCount: (room.spectators || []).length,
+        maxPlayers: room.maxPlayers || null,
+        joinsLocked: areJoinsLocked(room),
+        gameStatus: room.gameStatus,
+        scheduledStartAt: room.schedule ? room.schedule.startAt : null,
+        callingMode: room.callingMode,
+        calledCount: room.numbersCalled.length,
+        rulesCount: room.rules.filter(r => r.isActive).length,
+        winnersCount: room.winners?.length || 0,
+        gamesCompleted: room.gamesCompleted || 0,
+        createdAt: room.createdAt
+    };
+}
+
+// Full room state for API clients; secrets stay hashed on the server and the draw seed stays hidden mid-game
+function getRoomDetails(room) {
+    return {
+        ...getRoomOverview(room),
+        cohosts: getCohostListPayload(room),
+        joinCode: room.joinCode || '',
+        hasAdminSecret: !!room.adminSecretHash,
+        totalMoneyCollected: room.totalMoneyCollected,
+        claimMode: room.claimMode || 'manual',
+        markingMode: getMarkingMode(room),
+        ticketMode: room.ticketMode || 'single',
+        schedule: getPublicSchedule(room),
+        rules: room.rules,
+        calledNumbers: room.numbersCalled,
+        draw: getPublicDrawInfo(room),
+        winners: room.winners
+    };
+}
+
+function getPlayerDetails(player) {
+    const { ws, ...playerData } = player;
+    return playerData;
+}
+
+// Every node's games with a shared bus, so any node can answer /api/games
+async function loadGameRecords(roomId) {
+    try {
+        const records = await roomBus.listGames(roomId);
+        return records.sort((a, b) => (a.endedAt || '').localeCompare(b.endedAt || ''));
+    } catch (e) {
+        console.error('Failed to load game records:', e);
+        return [];
+    }
+}
+
+const api = express.Router();
+api.use(requireApiKey);
+
+// A room as this node sees it: live if we own it, otherwise (shared bus only) its latest snapshot
+async function findRoom(roomId) {
+    if (rooms[roomId]) return rooms[roomId];
+    return roomBus.shared ? roomBus.getRoom(roomId) : null;
+}
+
+async function listRooms() {
+    if (!roomBus.shared) return Object.values(rooms);
+    const roomIds = await roomBus.listRoomIds();
+    return (await Promise.all(roomIds.map(findRoom))).filter(Boolean);
+}
+
+// Looks up :roomId for the room routes below
+api.param('roomId', (req, res, next, roomId) => {
+    findRoom(roomId).then(room => {
+        req.room = room;
+        if (!req.room) return res.status(404).json({ error: `Room ${roomId} not found.` });
+        next();
+    }, next);
+});
+
+api.get('/rooms', (req, res, next) => {
+    listRooms().then(allRooms => res.json({ rooms: allRooms.map(getRoomOverview) }), next);
+});
+
+// Sets a room up ahead of time; the admin joins later over WebSocket with the same name (and secret, if set)
+api.post('/rooms', async (req, res, next) => {
+    try {
+        const { roomId, adminName, adminSecret, joinCode, cohostCode } = req.body || {};
+        if (!roomId || !adminName) return res.status(400).json({ error: 'roomId and adminName are required.' });
+        // Claiming first also loads the room if it already exists elsewhere in the cluster
+        if (roomBus.shared && await claimRoom(String(roomId)) !== roomBus.nodeId) return res.status(409).json({ error: `Room ${roomId} already exists.` });
+        if (rooms[roomId]) return res.status(409).json({ error: `Room ${roomId} already exists.` });
+        const room = createRoom(String(roomId), { adminName: String(adminName), adminSecret, joinCode, cohostCode, keepWhenEmpty: true });
+        console.log(`Room ${room.id} created through the API for admin ${room.admin.name}`);
+        res.status(201).json(getRoomDetails(room));
+    } catch (e) {
+        next(e);
+    }
+});
+
+api.get('/rooms/:roomId', (req, res) => res.json(getRoomDetails(req.room)));
+
+api.delete('/rooms/:roomId', async (req, res, next) => {
+    try {
+        const reason = (req.body && req.body.reason) || 'This room has been closed by the organiser.';
+        const ownerId = roomBus.shared ? await claimRoom(req.room.id) : roomBus.nodeId;
+        if (ownerId === roomBus.nodeId) closeRoom(req.room.id, reason);
+        else if (ownerId) await roomBus.publish(`node:${ownerId}`, { kind: 'close-room', roomId: req.room.id, reason });
+        else return res.status(503).json({ error: `Room ${req.room.id} is moving between servers. Please try again.` });
+        res.status(204).end();
+    } catch (e) {
+        next(e);
+    }
+});
+
+api.get('/rooms/:roomId/players', (req, res) => res.json({ players: req.room.players.map(getPlayerDetails) }));
+
+api.get('/rooms/:roomId/tickets', (req, res) => {
+    const tickets = req.room.players.flatMap(p => p.tickets.map(t => ({ ...t, playerId: p.id, playerName: p.name })));
+    res.json({ tickets });
+});
+
+api.get('/rooms/:roomId/called-numbers', (req, res) => res.json({ gameStatus: req.room.gameStatus, calledNumbers: req.room.numbersCalled }));
+
+api.get('/rooms/:roomId/winners', (req, res) => res.json({ winners: req.room.winners }));
+
+api.get('/rooms/:roomId/rules', (req, res) => res.json({ rules: req.room.rules }));
+
+// ?format=csv for a spreadsheet-ready export
+api.get('/rooms/:roomId/ledger', (req, res) => {
+    const ledger = req.room.ledger || [];
+    if (req.query.format === 'csv') {
+        res.type('text/csv').attachment(`ledger_${req.room.id}.csv`);
+        return res.send(ledgerToCsv(ledger));
     }
-    res.json(simplifiedRooms);
+    res.json({ ticketPrice: req.room.ticketPrice || 0, pendingSales: getUnassignedSales(req.room), ledger });
+});
+
+api.get('/rooms/:roomId/session', (req, res) => res.json(buildSessionPayload(req.room)));
+
+// Event log as JSON Lines: one event per line, oldest first (see eventLog.js)
+function sendEventLog(res, events, filename) {
+    res.attachment(filename).type('application/x-ndjson'); // attachment() would set the type from the .jsonl extension
+    res.send(eventsToJsonLines(events));
+}
+
+// The log so far: the game in progress, or what has happened since the last one ended
+api.get('/rooms/:roomId/events', (req, res) => sendEventLog(res, req.room.eventLog || [], `events_${req.room.id}_current.jsonl`));
+
+// Completed games, including those from rooms that have since been closed. Event logs come from /events below.
+function withoutEvents({ events, ...record }) {
+    return { ...record, eventCount: (events || []).length };
+}
+
+api.get('/games', (req, res) => {
+    loadGameRecords(req.query.roomId).then(records => res.json({ games: records.map(withoutEvents) }));
+});
+
+api.get('/games/:gameRoomId/:gameNumber', (req, res) => { // Not :roomId, the room may be closed
+    loadGameRecords(req.params.gameRoomId).then(records => {
+        const record = records.find(g => String(g.gameNumber) === req.params.gameNumber);
+        if (!record) return res.status(404).json({ error: 'Game not found.' });
+        res.json(withoutEvents(record));
+    });
+});
+
+api.get('/games/:gameRoomId/:gameNumber/events', (req, res) => {
+    loadGameRecords(req.params.gameRoomId).then(records => {
+        const record = records.find(g => String(g.gameNumber) === req.params.gameNumber);
+        if (!record) return res.status(404).json({ error: 'Game not found.' });
+        sendEventLog(res, record.events || [], `events_${record.roomId}_game${record.gameNumber}.jsonl`);
+    });
+});
+
+app.use('/api', api);
+
+app.get('/debug/rooms', requireApiKey, (req, res, next) => {
+    listRooms().then(allRooms => {
+        const simplifiedRooms = {};
+        allRooms.forEach(room => { simplifiedRooms[room.id] = getRoomOverview(room); });
+        res.json(simplifiedRooms);
+    }, next);
+});
+
+// Draw verification: rebuilds the call order from a revealed seed
+app.post('/verify-draw', (req, res) => {
+    const { seed, commitment, calledNumbers } = req.body || {};
+    if (!seed || typeof seed !== 'string') return res.status(400).json({ error: 'seed is required.' });
+    if (calledNumbers !== undefined && !Array.isArray(calledNumbers)) return res.status(400).json({ error: 'calledNumbers must be an array.' });
+    res.json(verifyDraw({ seed, commitment, calledNumbers }));
+});
+
+// A room's current draw record, verified against its calls once the game has ended
+app.get('/rooms/:roomId/draw', (req, res, next) => {
+    findRoom(req.params.roomId).then(room => {
+        if (!room || !room.draw) return res.status(404).json({ error: 'No draw found for this room.' });
+        const draw = getPublicDrawInfo(room);
+        const response = { roomId: room.id, gameStatus: room.gameStatus, ...draw, calledNumbers: room.numbersCalled };
+        if (draw.seed) response.verification = verifyDraw({ seed: draw.seed, commitment: draw.commitment, calledNumbers: room.numbersCalled });
+        res.json(response);
+    }, next);
 });
 
 // app.use(express.static('public')); // Uncomment if you want to serve HTML files from a 'public' directory
 
+// --- Heartbeats ---
+// Browsers answer pings by themselves. A socket that hasn't answered since the last round is dead (sleeping phone,
+// dropped Wi-Fi) even if it still looks open; terminating it fires 'close', which starts the usual grace period.
+const heartbeatTimer = setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+            console.log('Heartbeat missed, dropping connection');
+            return ws.terminate();
+        }
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, HEARTBEAT_INTERVAL_MS);
+wss.on('close', () => clearInterval(heartbeatTimer));
+const tokenRefreshTimer = setInterval(refreshResumeTokens, RESUME_TOKEN_MAX_AGE_MS / 4);
+wss.on('close', () => clearInterval(tokenRefreshTimer));
+
+// --- Cluster ---
+// A single node keeps rooms in its own storage; shared-bus nodes pick them up through the lease loop instead
+if (roomBus.shared) {
+    roomBus.subscribe(`node:${roomBus.nodeId}`, handleNodeMessage);
+    roomBus.subscribe('cluster', handleClusterMessage);
+    const leaseTimer = setInterval(() => {
+        maintainRoomLeases().catch(e => console.error('Failed to maintain room leases:', e));
+    }, ROOM_LEASE_TTL_MS / 3);
+    wss.on('close', () => clearInterval(leaseTimer));
+    maintainRoomLeases().catch(e => console.error('Failed to maintain room leases:', e));
+    console.log(`Node ${roomBus.nodeId} joined the '${roomBus.name}' room bus.`);
+} else {
+    restoreRoomsFromStorage();
+}
+
 server.listen(PORT, () => {
     console.log(`HTTP and WebSocket server listening on ws://localhost:${PORT}`);
 });
@@ -855,8 +3189,15 @@ process.on('SIGINT', () => {
                 clearTimeout(rooms[roomId].autoCallTimerId);
             }
         }
+        // Hand our rooms back straight away rather than making other nodes wait for the leases to expire
+        const roomIds = Object.keys(rooms);
         rooms = {};
         playerConnections.clear();
-        process.exit(0);
+        Promise.all(roomIds.map(roomId => roomBus.releaseLease(`room:${roomId}`)))
+            .catch(e => console.error('Failed to release room leases:', e))
+            .finally(() => {
+                roomBus.close();
+                process.exit(0);
+            });
     });
 });
@@ -0,0 +1,69 @@
+// sessionTokens.js
+// Signed resume tokens for reconnecting players and hosts, plus hashing for room passcodes.
+// Format: base64url(JSON claims) + '.' + base64url(HMAC-SHA256(claims, secret))
+// Each room has its own secret (persisted with the room), so tokens survive a server restart.
+// Tokens carry their issue time (iat) and expire after a maximum age; every join or resume hands out a fresh one.
+
+const crypto = require('crypto');
+
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function sign(encodedClaims, secret) {
+    return toBase64Url(crypto.createHmac('sha256', secret).update(encodedClaims).digest());
+}
+
+function generateSessionSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// claims: { roomId, playerId, role }
+function createResumeToken(claims, secret) {
+    const encodedClaims = toBase64Url(JSON.stringify({ ...claims, iat: Date.now() }));
+    return `${encodedClaims}.${sign(encodedClaims, secret)}`;
+}
+
+// Reads the claims without checking the signature, so the caller can look up the room's secret
+function decodeResumeToken(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    try {
+        return JSON.parse(fromBase64Url(token.split('.')[0]).toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Returns the claims if the signature matches and the token is younger than maxAgeMs, otherwise null
+function verifyResumeToken(token, secret, maxAgeMs) {
+    if (typeof token !== 'string' || !secret) return null;
+    const [encodedClaims, signature] = token.split('.');
+    if (!encodedClaims || !signature) return null;
+    const expected = Buffer.from(sign(encodedClaims, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    const claims = decodeResumeToken(token);
+    if (!claims || !Number.isFinite(claims.iat) || Date.now() - claims.iat > maxAgeMs) return null;
+    return claims;
+}
+
+// Room passcodes (admin secret) are stored as "salt:scryptHash", never in plain text
+function hashSecret(secret) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(String(secret), salt, 32).toString('hex')}`;
+}
+
+function verifySecret(secret, storedHash) {
+    if (typeof secret !== 'string' || !secret || typeof storedHash !== 'string') return false;
+    const [salt, hash] = storedHash.split(':');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(secret, salt, 32);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { generateSessionSecret, createResumeToken, decodeResumeToken, verifyResumeToken, hashSecret, verifySecret };
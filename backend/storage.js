@@ -0,0 +1,110 @@
+// storage.js
+// Pluggable persistence for room state.
+// The server only talks to the object returned by createStorage():
+//   loadAllRooms() -> [roomSnapshot, ...]
+//   saveRoom(roomSnapshot)
+//   deleteRoom(roomId)
+//   saveGame(gameRecord)       completed games, kept after their room is closed
+//   loadAllGames() -> [gameRecord, ...]
+// Snapshots are plain JSON (no sockets or timers), see serializeRoom in server.js.
+// A game record is { id, roomId, gameNumber, startedAt, endedAt, summary, events }, see recordCompletedGame.
+
+const fs = require('fs');
+const path = require('path');
+
+// --- File driver: one JSON file per room ---
+function createFileStorage(options = {}) {
+    const dir = path.resolve(options.dir || path.join(__dirname, 'data'));
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Room IDs are user-typed, so encode them before using as a file name
+    const fileForRoom = (roomId) => path.join(dir, `room_${encodeURIComponent(roomId)}.json`);
+    const fileForGame = (record) => path.join(dir, `game_${encodeURIComponent(record.roomId)}_${record.gameNumber}.json`);
+
+    const readJsonFiles = (prefix) => {
+        const results = [];
+        fs.readdirSync(dir).forEach(fileName => {
+            if (!fileName.startsWith(prefix) || !fileName.endsWith('.json')) return;
+            try {
+                results.push(JSON.parse(fs.readFileSync(path.join(dir, fileName), 'utf8')));
+            } catch (e) {
+                console.error(`Storage: could not read ${fileName}, skipping.`, e);
+            }
+        });
+        return results;
+    };
+
+    // Write to a temp file and rename so a crash mid-write never leaves a half-written file
+    const writeJsonFile = (target, data) => {
+        const tmp = `${target}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, target);
+    };
+
+    return {
+        name: 'file',
+        loadAllRooms() {
+            return readJsonFiles('room_');
+        },
+        saveRoom(snapshot) {
+            writeJsonFile(fileForRoom(snapshot.id), snapshot);
+        },
+        deleteRoom(roomId) {
+            try {
+                fs.unlinkSync(fileForRoom(roomId));
+            } catch (e) {
+                if (e.code !== 'ENOENT') console.error(`Storage: could not delete room ${roomId}.`, e);
+            }
+        },
+        saveGame(record) {
+            writeJsonFile(fileForGame(record), record);
+        },
+        loadAllGames() {
+            return readJsonFiles('game_');
+        }
+    };
+}
+
+// --- Memory driver: no persistence (old behaviour, handy for local testing) ---
+function createMemoryStorage() {
+    const snapshots = new Map();
+    const games = new Map();
+    return {
+        name: 'memory',
+        loadAllRooms() {
+            return [...snapshots.values()].map(s => JSON.parse(JSON.stringify(s)));
+        },
+        saveRoom(snapshot) {
+            snapshots.set(snapshot.id, JSON.parse(JSON.stringify(snapshot)));
+        },
+        deleteRoom(roomId) {
+            snapshots.delete(roomId);
+        },
+        saveGame(record) {
+            games.set(record.id, JSON.parse(JSON.stringify(record)));
+        },
+        loadAllGames() {
+            return [...games.values()].map(g => JSON.parse(JSON.stringify(g)));
+        }
+    };
+}
+
+const drivers = {
+    file: createFileStorage,
+    memory: createMemoryStorage
+};
+
+function createStorage(driverName = 'file', options = {}) {
+    const factory = drivers[driverName];
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${driverName}". Available: ${Object.keys(drivers).join(', ')}`);
+    }
+    return factory(options);
+}
+
+// Lets other drivers (e.g. SQLite, Redis) be plugged in without touching this file
+function registerStorageDriver(driverName, factory) {
+    drivers[driverName] = factory;
+}
+
+module.exports = { createStorage, registerStorageDriver };
@@ -0,0 +1,110 @@
+// claimWindows.test.js
+// Tie windows: who joins a window, how a split is rounded and how a random window is drawn.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { findWindowSlot, createClaimWindow, isAwaitingDraw, pickTieWinner, drawClaimWindow, getWindowPayouts } = require('../claimWindows');
+
+const topLine = { id: 'rule_topline', name: 'Top Line', maxPrizes: 1, coinsPerPrize: 10 };
+
+// A room with one window on the 5th call (index 4), opened when 5 numbers had been called
+function roomWithWindow(rule, claimIds) {
+    const claimWindow = createClaimWindow(rule, 4, 42, 5);
+    claimWindow.claimIds.push(...claimIds);
+    return {
+        winners: claimIds.map(claimId => ({ claimId, prizeRuleId: rule.id, windowId: claimWindow.id })),
+        claimWindows: { [claimWindow.id]: claimWindow }
+    };
+}
+
+test('window membership', async (t) => {
+    await t.test('a claim completed on the same call joins the window', () => {
+        const slot = findWindowSlot(roomWithWindow(topLine, ['a']), topLine, 4, 5);
+        assert.deepStrictEqual(slot, { ok: true, windowId: 'rule_topline@4', calledIndex: 4 });
+    });
+
+    await t.test('a claim made after the next call is too late', () => {
+        const slot = findWindowSlot(roomWithWindow(topLine, ['a']), topLine, 4, 6);
+        assert.strictEqual(slot.ok, false);
+        assert.strictEqual(slot.code, 'INVALID_STATE');
+    });
+
+    await t.test('a later completion needs a free prize slot', () => {
+        const room = roomWithWindow(topLine, ['a']);
+        assert.strictEqual(findWindowSlot(room, topLine, 6, 7).code, 'LIMIT_REACHED');
+        assert.deepStrictEqual(findWindowSlot(room, { ...topLine, maxPrizes: 2 }, 6, 7), { ok: true, windowId: 'rule_topline@6', calledIndex: 6 });
+    });
+
+    await t.test('a claim the server could not validate counts from the last call before it was made', () => {
+        const slot = findWindowSlot({ winners: [], claimWindows: {} }, topLine, -1, 9);
+        assert.strictEqual(slot.windowId, 'rule_topline@8');
+    });
+
+    await t.test('nobody joins a random window once it is drawn', () => {
+        const rule = { ...topLine, tiePolicy: 'random' };
+        const room = roomWithWindow(rule, ['a', 'b']);
+        drawClaimWindow(room.claimWindows['rule_topline@4'], ['a', 'b']);
+        const slot = findWindowSlot(room, rule, 4, 5);
+        assert.strictEqual(slot.ok, false);
+        assert.match(slot.message, /draw/);
+    });
+});
+
+test('split payouts', async (t) => {
+    await t.test('shares are whole cents and add up to the prize, the remainder going to the earliest claim', () => {
+        const claimWindow = createClaimWindow(topLine, 4, 42, 5);
+        claimWindow.claimIds.push('c', 'a', 'b');
+        const payouts = getWindowPayouts(claimWindow, ['a', 'b', 'c'], 10);
+        assert.deepStrictEqual(payouts, { c: 3.34, a: 3.33, b: 3.33 });
+        assert.strictEqual(Math.round(Object.values(payouts).reduce((sum, coins) => sum + coins, 0) * 100), 1000);
+    });
+
+    await t.test('claims excluded from payouts get nothing and do not take a share', () => {
+        const claimWindow = createClaimWindow(topLine, 4, 42, 5);
+        claimWindow.claimIds.push('bot', 'a', 'b');
+        assert.deepStrictEqual(getWindowPayouts(claimWindow, ['a', 'b'], 0.05), { bot: 0, a: 0.03, b: 0.02 });
+    });
+
+    await t.test('the full policy pays everyone the whole prize', () => {
+        const claimWindow = createClaimWindow({ ...topLine, tiePolicy: 'full' }, 4, 42, 5);
+        claimWindow.claimIds.push('a', 'b');
+        assert.deepStrictEqual(getWindowPayouts(claimWindow, ['a', 'b'], 10), { a: 10, b: 10 });
+    });
+});
+
+test('random draws', async (t) => {
+    const rule = { ...topLine, tiePolicy: 'random' };
+
+    await t.test('nothing is paid until the draw, then only the drawn claim is', () => {
+        const claimWindow = createClaimWindow(rule, 4, 42, 5);
+        claimWindow.claimIds.push('a', 'b', 'c');
+        assert.ok(claimWindow.seed);
+        assert.strictEqual(isAwaitingDraw(claimWindow), true);
+        assert.deepStrictEqual(getWindowPayouts(claimWindow, ['a', 'b', 'c'], 10), { a: 0, b: 0, c: 0 });
+
+        const drawn = drawClaimWindow(claimWindow, ['a', 'b', 'c']);
+        assert.strictEqual(isAwaitingDraw(claimWindow), false);
+        const payouts = getWindowPayouts(claimWindow, ['a', 'b', 'c'], 10);
+        assert.strictEqual(payouts[drawn], 10);
+        assert.strictEqual(Object.values(payouts).filter(coins => coins > 0).length, 1);
+    });
+
+    await t.test('the draw can be re-checked from the seed, whatever order the claims came in', () => {
+        const claimWindow = { seed: '0123456789abcdef', claimIds: ['a', 'b', 'c'] };
+        const winner = pickTieWinner(claimWindow);
+        assert.strictEqual(pickTieWinner({ ...claimWindow, claimIds: ['c', 'a', 'b'] }), winner);
+        assert.ok(['a', 'b', 'c'].includes(winner));
+    });
+
+    await t.test('only claims that may be paid are drawn', () => {
+        for (let i = 0; i < 20; i++) {
+            const claimWindow = createClaimWindow(rule, 4, 42, 5);
+            claimWindow.claimIds.push('bot', 'a');
+            assert.strictEqual(drawClaimWindow(claimWindow, ['a']), 'a');
+        }
+        const empty = createClaimWindow(rule, 4, 42, 5);
+        empty.claimIds.push('bot');
+        assert.strictEqual(drawClaimWindow(empty, []), null);
+        assert.deepStrictEqual(getWindowPayouts(empty, [], 10), { bot: 0 });
+    });
+});
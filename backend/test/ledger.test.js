@@ -0,0 +1,32 @@
+// ledger.test.js
+// The settlement CSV: quoting, and text that a spreadsheet would run as a formula.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { addLedgerEntry, ledgerToCsv } = require('../ledger');
+
+// The CSV's rows after the header, split into fields (none of these values contain commas)
+function csvRows(room) {
+    return ledgerToCsv(room.ledger).trim().split('\n').slice(1).map(line => line.split(','));
+}
+
+test('names and notes that start like a formula are exported as text', () => {
+    const room = { ledger: [] };
+    ['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)'].forEach(name => {
+        addLedgerEntry(room, { id: name, name }, { type: 'adjustment', amount: 5, note: name });
+    });
+    const csv = ledgerToCsv(room.ledger);
+    assert.ok(csv.includes(`"'=HYPERLINK(""http://x"")"`), 'quoted and prefixed');
+    ['+1', '-2+3', '@SUM(A1)'].forEach(name => assert.ok(csv.includes(`,'${name},`), `${name} is prefixed`));
+});
+
+test('negative amounts stay numbers and ordinary text is unchanged', () => {
+    const room = { ledger: [] };
+    const player = { id: 'p1', name: 'Asha' };
+    addLedgerEntry(room, player, { type: 'ticket_purchase', amount: -10, note: 'Ticket, second' });
+    const [row] = csvRows({ ledger: room.ledger.map(entry => ({ ...entry, note: 'plain' })) });
+    assert.strictEqual(row[2], 'Asha');
+    assert.strictEqual(row[4], '-10');
+    assert.strictEqual(row[5], '-10');
+    assert.ok(ledgerToCsv(room.ledger).includes('"Ticket, second"'));
+});
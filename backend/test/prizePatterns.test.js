@@ -0,0 +1,59 @@
+// prizePatterns.test.js
+// validatePatternDefinition accepts the patterns the game ships with and refuses malformed ones up front, before a
+// claim is ever evaluated against them.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BUILT_IN_PATTERNS, validatePatternDefinition, evaluatePattern } = require('../prizePatterns');
+
+test('built-in and typical custom patterns are valid', () => {
+    Object.entries(BUILT_IN_PATTERNS).forEach(([ruleId, pattern]) => assert.strictEqual(validatePatternDefinition(pattern), null, ruleId));
+    [
+        { select: { where: { parity: 'odd' } } },
+        { select: { where: { range: [1, 45], multipleOf: 5 } } },
+        { select: { where: { digit: 0 } }, require: { atLeast: 2 } },
+        { select: { where: { in: [7, 11, 77] } }, minSelected: 1 },
+        { select: { rows: [0, 2], mask: [[1, 0, 0, 0, 0, 0, 0, 0, 1], [0, 0, 0, 0, 1, 0, 0, 0, 0], [1, 0, 0, 0, 0, 0, 0, 0, 1]] } },
+        { select: {}, order: { after: ['rule_fullhouse'], before: ['rule_custom'], withinCalls: 30 } }
+    ].forEach(pattern => assert.strictEqual(validatePatternDefinition(pattern), null, JSON.stringify(pattern)));
+});
+
+test('malformed patterns are refused with the field that is wrong', () => {
+    const cases = [
+        [null, /Pattern must be an object/],
+        [{ select: { rows: [3] } }, /select\.rows/],
+        [{ select: { mask: [[1]] } }, /select\.mask/],
+        [{ select: { picks: [{ row: 0 }] } }, /select\.picks/],
+        [{ select: { where: [] } }, /select\.where/],
+        [{ select: { where: { range: [1] } } }, /where\.range/],
+        [{ select: { where: { range: ['1', '30'] } } }, /where\.range/],
+        [{ select: { where: { range: [60, 10] } } }, /where\.range/],
+        [{ select: { where: { digit: '8' } } }, /where\.digit/],
+        [{ select: { where: { digit: 12 } } }, /where\.digit/],
+        [{ select: { where: { parity: 'both' } } }, /where\.parity/],
+        [{ select: { where: { multipleOf: 0 } } }, /where\.multipleOf/],
+        [{ select: { where: { in: 7 } } }, /where\.in/],
+        [{ select: { where: { in: [7, '11'] } } }, /where\.in/],
+        [{ require: 'most' }, /"require"/],
+        [{ require: { atLeast: '5' } }, /require\.atLeast/],
+        [{ minSelected: 0 }, /minSelected/],
+        [{ order: { after: 'rule_fullhouse' } }, /order\.after/],
+        [{ order: { after: [1] } }, /order\.after/],
+        [{ order: { before: [''] } }, /order\.before/],
+        [{ order: { withinCalls: -1 } }, /order\.withinCalls/],
+        [{ order: { atWinOf: 5 } }, /order\.atWinOf/]
+    ];
+    cases.forEach(([pattern, message]) => assert.match(validatePatternDefinition(pattern) || '', message, JSON.stringify(pattern)));
+});
+
+test('a valid custom pattern evaluates as described', () => {
+    const ticket = [
+        [3, null, 21, null, 45, null, 60, null, 88],
+        [null, 12, null, 34, null, 55, null, 78, 89],
+        [8, null, 28, 38, null, 58, null, 79, null]
+    ];
+    const fatLadies = { select: { where: { digit: 8 } } };
+    assert.strictEqual(validatePatternDefinition(fatLadies), null);
+    assert.strictEqual(evaluatePattern(fatLadies, ticket, [88, 89, 8, 28, 38, 58, 79]), false);
+    assert.strictEqual(evaluatePattern(fatLadies, ticket, [88, 89, 8, 28, 38, 58, 79, 78]), true);
+});
@@ -0,0 +1,46 @@
+// protocol.test.js
+// parseMessage: version 2 refuses unknown fields at any depth, version 1 drops them; field limits apply to both.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMessage, ERROR_CODES } = require('../protocol');
+
+const rule = { id: 'rule_early5', name: 'Early 5', baseWeight: 10, maxPrizes: 1, coinsPerPrize: 0, isActive: true };
+
+test('version 2 refuses an unknown top-level field', () => {
+    const result = parseMessage({ type: 'ADMIN_UPDATE_MARKING_MODE', payload: { markingMode: 'auto', extra: 1 } }, 2);
+    assert.strictEqual(result.error.code, ERROR_CODES.VALIDATION_FAILED);
+    assert.strictEqual(result.error.field, 'extra');
+});
+
+test('version 2 refuses unknown fields in nested objects and array items', () => {
+    const nested = parseMessage({ type: 'ADMIN_UPDATE_CLAIM_PENALTIES', payload: { bogeyRules: { penaltyCoins: 5, fine: 2 } } }, 2);
+    assert.strictEqual(nested.error.code, ERROR_CODES.VALIDATION_FAILED);
+    assert.strictEqual(nested.error.field, 'bogeyRules.fine');
+
+    const inArray = parseMessage({
+        type: 'ADMIN_UPDATE_RULES',
+        payload: { rules: [rule, { ...rule, id: 'rule_topline', colour: 'red' }], financials: { totalMoneyCollected: 10 } }
+    }, 2);
+    assert.strictEqual(inArray.error.field, 'rules[1].colour');
+});
+
+test('version 1 drops unknown fields at any depth', () => {
+    const result = parseMessage({
+        type: 'ADMIN_UPDATE_RULES',
+        payload: { rules: [{ ...rule, colour: 'red' }], financials: { totalMoneyCollected: 10, currency: 'INR' }, extra: true }
+    }, 1);
+    assert.strictEqual(result.error, undefined);
+    assert.deepStrictEqual(result.payload.rules[0], rule);
+    assert.deepStrictEqual(result.payload.financials, { totalMoneyCollected: 10 });
+    assert.strictEqual(result.payload.extra, undefined);
+});
+
+test('a required check code must not be empty', () => {
+    const empty = parseMessage({ type: 'ADMIN_AWARD_PAPER_CLAIM', payload: { serial: 'A0001', checkCode: '', prizeRuleId: 'rule_early5' } }, 2);
+    assert.strictEqual(empty.error.code, ERROR_CODES.VALIDATION_FAILED);
+    assert.strictEqual(empty.error.field, 'checkCode');
+
+    const given = parseMessage({ type: 'ADMIN_AWARD_PAPER_CLAIM', payload: { serial: 'A0001', checkCode: 'K7Q2', prizeRuleId: 'rule_early5' } }, 2);
+    assert.strictEqual(given.error, undefined);
+});
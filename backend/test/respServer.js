@@ -0,0 +1,166 @@
+// respServer.js
+// A small stand-in for Redis, just enough for roomBus.js's Redis driver: GET, SET (NX, PX), DEL, PEXPIRE, SADD, SREM,
+// SMEMBERS, PUBLISH, SUBSCRIBE, AUTH, SELECT and EVAL of its lease scripts. Keys live in memory and expire lazily, like
+// Redis does on read.
+// Not a test file itself; the tests start one on a free port with startRespServer().
+
+const net = require('net');
+
+function bulk(value) {
+    if (value === null || value === undefined) return '$-1\r\n';
+    const text = String(value);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+function array(values) {
+    return `*${values.length}\r\n${values.map(bulk).join('')}`;
+}
+
+// Parses as many complete commands (arrays of bulk strings) as the buffer holds. Returns { commands, used }.
+function parseCommands(buffer) {
+    const commands = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+        const headerEnd = buffer.indexOf('\r\n', offset);
+        if (headerEnd === -1) break;
+        const count = Number(buffer.toString('utf8', offset + 1, headerEnd));
+        const args = [];
+        let position = headerEnd + 2;
+        for (let i = 0; i < count; i++) {
+            const lengthEnd = buffer.indexOf('\r\n', position);
+            if (lengthEnd === -1) break;
+            const length = Number(buffer.toString('utf8', position + 1, lengthEnd));
+            if (buffer.length < lengthEnd + 2 + length + 2) break;
+            args.push(buffer.toString('utf8', lengthEnd + 2, lengthEnd + 2 + length));
+            position = lengthEnd + 2 + length + 2;
+        }
+        if (args.length < count) break; // The rest hasn't arrived yet
+        commands.push(args);
+        offset = position;
+    }
+    return { commands, used: offset };
+}
+
+// The only scripts EVAL understands: "if GET(KEYS[1]) == ARGV[1] then return <COMMAND>(KEYS[1], ARGV[2..]) end return 0"
+const COMPARE_AND_RUN_SCRIPT = /^if redis\.call\('GET', KEYS\[1\]\) == ARGV\[1\] then return redis\.call\('(\w+)', KEYS\[1\](?:, ARGV\[\d\])*\) end return 0$/;
+
+// Resolves with { port, commands, dropConnections(), close() } once listening.
+// commands counts what was run, by name; dropConnections() cuts every client off but keeps the data, like a restart.
+// options.password: refuse other commands until a connection has sent AUTH with it, as Redis does.
+function startRespServer(options = {}) {
+    const strings = new Map(); // key -> value
+    const expiries = new Map(); // key -> ms timestamp
+    const sets = new Map(); // key -> Set
+    const subscribers = new Map(); // channel -> Set of sockets
+    const sockets = new Set();
+    const authenticated = new WeakSet();
+    const commands = {};
+
+    const exists = (key) => {
+        if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+            strings.delete(key);
+            expiries.delete(key);
+        }
+        return strings.has(key);
+    };
+
+    const run = (socket, [name, ...args]) => {
+        const command = name.toUpperCase();
+        commands[command] = (commands[command] || 0) + 1;
+        if (options.password && command !== 'AUTH' && !authenticated.has(socket)) return '-NOAUTH Authentication required.\r\n';
+        switch (command) {
+            case 'AUTH':
+                if (options.password && args[args.length - 1] !== options.password) return '-WRONGPASS invalid username-password pair\r\n';
+                authenticated.add(socket);
+                return '+OK\r\n';
+            case 'SELECT':
+                return '+OK\r\n';
+            case 'GET':
+                return bulk(exists(args[0]) ? strings.get(args[0]) : null);
+            case 'SET': {
+                const [key, value, ...options] = args;
+                const flags = options.map(option => option.toUpperCase());
+                if (flags.includes('NX') && exists(key)) return '$-1\r\n';
+                strings.set(key, value);
+                expiries.delete(key);
+                const pxIndex = flags.indexOf('PX');
+                if (pxIndex !== -1) expiries.set(key, Date.now() + Number(options[pxIndex + 1]));
+                return '+OK\r\n';
+            }
+            case 'DEL': {
+                const removed = args.filter(key => exists(key) && strings.delete(key)).length;
+                args.forEach(key => expiries.delete(key));
+                return `:${removed}\r\n`;
+            }
+            case 'PEXPIRE':
+                if (!exists(args[0])) return ':0\r\n';
+                expiries.set(args[0], Date.now() + Number(args[1]));
+                return ':1\r\n';
+            case 'SADD': {
+                if (!sets.has(args[0])) sets.set(args[0], new Set());
+                const set = sets.get(args[0]);
+                const added = args.slice(1).filter(member => !set.has(member) && set.add(member)).length;
+                return `:${added}\r\n`;
+            }
+            case 'SREM': {
+                const set = sets.get(args[0]) || new Set();
+                return `:${args.slice(1).filter(member => set.delete(member)).length}\r\n`;
+            }
+            case 'SMEMBERS':
+                return array([...(sets.get(args[0]) || [])]);
+            case 'PUBLISH': {
+                const listeners = subscribers.get(args[0]) || new Set();
+                listeners.forEach(listener => listener.write(array(['message', args[0], args[1]])));
+                return `:${listeners.size}\r\n`;
+            }
+            case 'SUBSCRIBE': {
+                if (!subscribers.has(args[0])) subscribers.set(args[0], new Set());
+                subscribers.get(args[0]).add(socket);
+                return `*3\r\n${bulk('subscribe')}${bulk(args[0])}:1\r\n`;
+            }
+            case 'EVAL': {
+                const [script, keyCount, ...rest] = args;
+                const match = COMPARE_AND_RUN_SCRIPT.exec(script);
+                if (!match || Number(keyCount) !== 1) return '-ERR the stand-in only runs the lease scripts\r\n';
+                const [key, expected, ...extra] = rest;
+                if (!exists(key) || strings.get(key) !== expected) return ':0\r\n';
+                return run(socket, [match[1], key, ...extra]);
+            }
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    };
+
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        sockets.add(socket);
+        socket.on('error', () => {}); // Clients going away mid-write are expected here
+        socket.on('close', () => {
+            sockets.delete(socket);
+            subscribers.forEach(listeners => listeners.delete(socket));
+        });
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            const { commands: received, used } = parseCommands(buffer);
+            buffer = buffer.subarray(used);
+            received.forEach(args => socket.write(run(socket, args)));
+        });
+    });
+
+    const dropConnections = () => sockets.forEach(socket => socket.destroy());
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            commands,
+            dropConnections,
+            close() {
+                dropConnections();
+                return new Promise(done => server.close(() => done()));
+            }
+        }));
+    });
+}
+
+module.exports = { startRespServer };
@@ -0,0 +1,110 @@
+// roomBus.test.js
+// The Redis driver of roomBus.js against the stand-in in respServer.js: two buses play two server nodes.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoomBus } = require('../roomBus');
+const { startRespServer } = require('./respServer');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with the next message handler(message) receives on the channel
+function nextMessage(bus, channel) {
+    return new Promise(resolve => bus.subscribe(channel, resolve));
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await sleep(20);
+    }
+}
+
+test('Redis room bus', async (t) => {
+    const resp = await startRespServer({ password: 'secret' });
+    const url = `redis://:secret@127.0.0.1:${resp.port}/0`;
+    const events = [];
+    const nodeA = createRoomBus('redis', {
+        url, nodeId: 'node-a', onDisconnect: () => events.push('disconnect'), onReconnect: () => events.push('reconnect')
+    });
+    const nodeB = createRoomBus('redis', { url, nodeId: 'node-b' });
+    t.after(async () => {
+        await nodeA.close();
+        await nodeB.close();
+        await resp.close();
+    });
+
+    await t.test('a lease has one holder and passes on when released or expired', async () => {
+        assert.strictEqual(await nodeA.acquireLease('room:R1', 200), true);
+        assert.strictEqual(await nodeB.acquireLease('room:R1', 200), false);
+        assert.strictEqual(await nodeB.getLeaseHolder('room:R1'), 'node-a');
+        assert.strictEqual(await nodeA.acquireLease('room:R1', 200), true); // Renewing our own
+
+        await nodeB.releaseLease('room:R1'); // Not ours, so nothing happens
+        assert.strictEqual(await nodeB.getLeaseHolder('room:R1'), 'node-a');
+        await nodeA.releaseLease('room:R1');
+        assert.strictEqual(await nodeB.acquireLease('room:R1', 200), true);
+        assert.strictEqual(await nodeA.acquireLease('room:R1', 200), false);
+
+        await sleep(250); // node-b stops renewing
+        assert.strictEqual(await nodeA.getLeaseHolder('room:R1'), null);
+        assert.strictEqual(await nodeA.acquireLease('room:R1', 200), true);
+    });
+
+    await t.test('a lease that passed to another node is neither renewed nor released by the old holder', async () => {
+        assert.strictEqual(await nodeA.acquireLease('room:R2', 100), true);
+        await sleep(150);
+        assert.strictEqual(await nodeB.acquireLease('room:R2', 1000), true);
+        assert.strictEqual(await nodeA.acquireLease('room:R2', 1000), false);
+        await nodeA.releaseLease('room:R2');
+        assert.strictEqual(await nodeA.getLeaseHolder('room:R2'), 'node-b');
+        assert.ok(resp.commands.EVAL > 0, 'renewed and released with a script the server runs in one step');
+        await nodeB.releaseLease('room:R2');
+    });
+
+    await t.test('commands made before the connection is ready wait for it', async () => {
+        const nodeC = createRoomBus('redis', { url, nodeId: 'node-c' });
+        await nodeC.saveRoom({ id: 'R3', gameStatus: 'idle' }); // Sent before the socket has connected and sent AUTH
+        assert.deepStrictEqual(await nodeC.getRoom('R3'), { id: 'R3', gameStatus: 'idle' });
+        await nodeC.deleteRoom('R3');
+        await nodeC.close();
+
+        // Refused AUTH: the waiting command fails with the connection instead of running unauthenticated
+        const wrongPassword = createRoomBus('redis', { url: `redis://:wrong@127.0.0.1:${resp.port}/0`, nodeId: 'node-d' });
+        await assert.rejects(wrongPassword.listRoomIds(), /Connection closed/);
+        await wrongPassword.close();
+    });
+
+    await t.test('a message published on one node reaches subscribers on the other', async () => {
+        const received = nextMessage(nodeA, 'node:node-a');
+        await sleep(50); // SUBSCRIBE is on its way
+        await nodeB.publish('node:node-a', { kind: 'relay', from: 'node-b', message: '{"type":"PING"}' });
+        assert.deepStrictEqual(await received, { kind: 'relay', from: 'node-b', message: '{"type":"PING"}' });
+    });
+
+    await t.test('rooms and game records are shared', async () => {
+        await nodeA.saveRoom({ id: 'R1', gameStatus: 'running' });
+        await nodeA.saveGame({ id: 'R1:1', roomId: 'R1', gameNumber: 1 });
+        assert.deepStrictEqual(await nodeB.getRoom('R1'), { id: 'R1', gameStatus: 'running' });
+        assert.deepStrictEqual(await nodeB.listRoomIds(), ['R1']);
+        assert.deepStrictEqual((await nodeB.listGames('R1')).map(g => g.id), ['R1:1']);
+        assert.deepStrictEqual(await nodeB.listGames('R2'), []);
+        await nodeA.deleteRoom('R1');
+        assert.strictEqual(await nodeB.getRoom('R1'), null);
+    });
+
+    await t.test('a dropped connection reconnects and subscribes again', async () => {
+        resp.dropConnections();
+        await waitFor(() => events.includes('disconnect'));
+        await assert.rejects(nodeA.getLeaseHolder('room:R1'), /Connection closed/);
+        // Both connections come back; the subscriber's reports in once its channels are subscribed again
+        await waitFor(() => events.filter(e => e === 'reconnect').length === 2);
+        assert.ok(resp.commands.AUTH >= 4, 'AUTH is sent again on reconnect');
+
+        const received = nextMessage(nodeA, 'node:node-a'); // An existing channel: no SUBSCRIBE of its own
+        await nodeB.publish('node:node-a', { kind: 'relay-close', from: 'node-b', connectionId: 'c1' });
+        assert.deepStrictEqual(await received, { kind: 'relay-close', from: 'node-b', connectionId: 'c1' });
+        assert.deepStrictEqual((await nodeA.listGames()).map(g => g.id), ['R1:1']); // Commands work again too
+    });
+});
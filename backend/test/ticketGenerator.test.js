@@ -0,0 +1,57 @@
+// ticketGenerator.test.js
+// Generated tickets and strips pass the validators over many seeds, a seed always gives the same output, and the
+// validators catch broken layouts.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { STRIP_SIZE, generateSeed, generateTambolaTicket, generateTicketStrip, validateTicket, validateStrip } = require('../ticketGenerator');
+
+const SEED_COUNT = 500;
+const seeds = Array.from({ length: SEED_COUNT }, (_, i) => `test-seed-${i}`);
+
+test('tickets are valid for every seed', () => {
+    seeds.forEach(seed => assert.deepStrictEqual(validateTicket(generateTambolaTicket(seed)), [], `seed ${seed}`));
+});
+
+test('strips are valid for every seed', () => {
+    seeds.slice(0, SEED_COUNT / 5).forEach(seed => {
+        const strip = generateTicketStrip(seed);
+        assert.strictEqual(strip.length, STRIP_SIZE);
+        assert.deepStrictEqual(validateStrip(strip), [], `seed ${seed}`);
+    });
+});
+
+test('the same seed gives the same ticket and strip', () => {
+    seeds.slice(0, 50).forEach(seed => {
+        assert.deepStrictEqual(generateTambolaTicket(seed), generateTambolaTicket(seed));
+        assert.deepStrictEqual(generateTicketStrip(seed), generateTicketStrip(seed));
+    });
+    const seed = generateSeed();
+    assert.deepStrictEqual(generateTambolaTicket(seed), generateTambolaTicket(seed));
+});
+
+test('different seeds give different tickets', () => {
+    const distinct = new Set(seeds.slice(0, 50).map(seed => JSON.stringify(generateTambolaTicket(seed))));
+    assert.strictEqual(distinct.size, 50);
+});
+
+test('the validators catch broken tickets and strips', () => {
+    const ticket = generateTambolaTicket('broken');
+
+    assert.deepStrictEqual(validateTicket(ticket.slice(0, 2)), ['Ticket must be 3 rows of 9 cells.']);
+
+    const shortRow = ticket.map(row => [...row]);
+    const firstFilled = shortRow[0].findIndex(n => n !== null);
+    shortRow[0][firstFilled] = null;
+    assert.ok(validateTicket(shortRow).some(e => e.startsWith('Row 0 has 4 numbers')));
+
+    const wrongColumn = ticket.map(row => [...row]);
+    const col = wrongColumn[0].findIndex(n => n !== null);
+    wrongColumn[0][col] = col === 8 ? 1 : 90;
+    assert.ok(validateTicket(wrongColumn).some(e => e.includes(`does not belong in column ${col}`)));
+
+    const strip = generateTicketStrip('broken');
+    assert.deepStrictEqual(validateStrip(strip.slice(1)), [`Strip must have ${STRIP_SIZE} tickets.`]);
+    const repeated = [...strip.slice(0, 5), strip[0]];
+    assert.ok(validateStrip(repeated).includes('Strip does not cover 1-90 exactly once.'));
+});
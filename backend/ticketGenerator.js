@@ -0,0 +1,168 @@
+// ticketGenerator.js
+// Seeded Tambola ticket generation plus validators.
+// A standard ticket is 3 rows x 9 columns with:
+//   - exactly 15 numbers, 5 in every row
+//   - 1 to 3 numbers in every column, taken from that column's range (1-9, 10-19, ..., 80-90)
+//   - numbers ascending down each column, no duplicates
+// A strip is 6 standard tickets that together use every number from 1 to 90 exactly once.
+// The same seed always gives the same ticket or strip.
+
+const crypto = require('crypto');
+
+const ROWS = 3;
+const COLUMNS = 9;
+const NUMBERS_PER_ROW = 5;
+const NUMBERS_PER_TICKET = ROWS * NUMBERS_PER_ROW;
+const STRIP_SIZE = 6;
+const COLUMN_RANGES = [
+    { min: 1, max: 9 }, { min: 10, max: 19 }, { min: 20, max: 29 },
+    { min: 30, max: 39 }, { min: 40, max: 49 }, { min: 50, max: 59 },
+    { min: 60, max: 69 }, { min: 70, max: 79 }, { min: 80, max: 90 }
+];
+
+// Deterministic random numbers in [0, 1) from SHA-256(seed:counter) blocks
+function createSeededRandom(seed) {
+    let counter = 0;
+    let block = null;
+    let offset = 0;
+    return function random() {
+        if (!block || offset >= block.length) {
+            block = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+            offset = 0;
+        }
+        const value = block.readUInt32BE(offset);
+        offset += 4;
+        return value / 0x100000000;
+    };
+}
+
+function generateSeed() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function columnNumbers(col) {
+    const { min, max } = COLUMN_RANGES[col];
+    return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+}
+
+// Hands out `amount` units to the slots with the most remaining demand (random among equals), at most one per slot.
+// This is the Gale-Ryser construction, so it never gets stuck when the totals add up.
+function takeFromNeediest(remaining, amount, random, canTake = () => true) {
+    const candidates = shuffle(remaining.map((need, index) => index), random)
+        .filter(index => remaining[index] > 0 && canTake(index))
+        .sort((a, b) => remaining[b] - remaining[a]);
+    const chosen = candidates.slice(0, amount);
+    chosen.forEach(index => { remaining[index]--; });
+    return chosen;
+}
+
+// Picks which rows each column uses so every row ends up with exactly 5 numbers
+function layoutRows(columnCounts, random) {
+    const rowsByColumn = Array(COLUMNS).fill(null);
+    const rowNeeds = Array(ROWS).fill(NUMBERS_PER_ROW);
+    const columnsBiggestFirst = shuffle(columnCounts.map((count, col) => col), random).sort((a, b) => columnCounts[b] - columnCounts[a]);
+    columnsBiggestFirst.forEach(col => {
+        rowsByColumn[col] = takeFromNeediest(rowNeeds, columnCounts[col], random);
+    });
+    return rowsByColumn;
+}
+
+function buildTicket(columnCounts, numbersByColumn, random) {
+    const ticket = Array(ROWS).fill(null).map(() => Array(COLUMNS).fill(null));
+    const rowsByColumn = layoutRows(columnCounts, random);
+    for (let col = 0; col < COLUMNS; col++) {
+        const rows = [...rowsByColumn[col]].sort((a, b) => a - b);
+        const numbers = [...numbersByColumn[col]].sort((a, b) => a - b);
+        rows.forEach((row, i) => { ticket[row][col] = numbers[i]; });
+    }
+    return ticket;
+}
+
+// --- Single ticket ---
+function generateTambolaTicket(seed = generateSeed()) {
+    const random = createSeededRandom(seed);
+    // Every column gets one number, then 6 more go to random columns (at most 3 per column)
+    const columnCounts = Array(COLUMNS).fill(1);
+    for (let extra = 0; extra < NUMBERS_PER_TICKET - COLUMNS; extra++) {
+        const open = columnCounts.map((count, col) => col).filter(col => columnCounts[col] < ROWS);
+        columnCounts[open[Math.floor(random() * open.length)]]++;
+    }
+    const numbersByColumn = columnCounts.map((count, col) => shuffle(columnNumbers(col), random).slice(0, count));
+    const ticket = buildTicket(columnCounts, numbersByColumn, random);
+
+    const errors = validateTicket(ticket);
+    if (errors.length > 0) throw new Error(`Generated an invalid ticket for seed ${seed}: ${errors.join('; ')}`);
+    return ticket;
+}
+
+// --- Strip of 6 ---
+function generateTicketStrip(seed = generateSeed()) {
+    const random = createSeededRandom(seed);
+    // columnCounts[t][col]: every ticket gets one number per column, the rest of each column (3 to 5 numbers)
+    // goes one each to the tickets still furthest from 15
+    const columnCounts = Array(STRIP_SIZE).fill(null).map(() => Array(COLUMNS).fill(1));
+    const ticketNeeds = Array(STRIP_SIZE).fill(NUMBERS_PER_TICKET - COLUMNS);
+    const columnsBiggestFirst = shuffle([...Array(COLUMNS).keys()], random)
+        .sort((a, b) => columnNumbers(b).length - columnNumbers(a).length);
+    columnsBiggestFirst.forEach(col => {
+        const extras = columnNumbers(col).length - STRIP_SIZE;
+        takeFromNeediest(ticketNeeds, extras, random).forEach(t => { columnCounts[t][col]++; });
+    });
+
+    // Deal each column's numbers out across the strip
+    const dealt = Array(STRIP_SIZE).fill(null).map(() => Array(COLUMNS).fill(null));
+    for (let col = 0; col < COLUMNS; col++) {
+        const pool = shuffle(columnNumbers(col), random);
+        for (let t = 0; t < STRIP_SIZE; t++) dealt[t][col] = pool.splice(0, columnCounts[t][col]);
+    }
+    const strip = dealt.map((numbersByColumn, t) => buildTicket(columnCounts[t], numbersByColumn, random));
+
+    const errors = validateStrip(strip);
+    if (errors.length > 0) throw new Error(`Generated an invalid strip for seed ${seed}: ${errors.join('; ')}`);
+    return strip;
+}
+
+// --- Validators --- (return a list of problems; empty means valid)
+function validateTicket(ticket) {
+    const errors = [];
+    if (!Array.isArray(ticket) || ticket.length !== ROWS || ticket.some(row => !Array.isArray(row) || row.length !== COLUMNS)) {
+        return ['Ticket must be 3 rows of 9 cells.'];
+    }
+    const seen = new Set();
+    ticket.forEach((row, r) => {
+        const count = row.filter(n => n !== null).length;
+        if (count !== NUMBERS_PER_ROW) errors.push(`Row ${r} has ${count} numbers, expected ${NUMBERS_PER_ROW}.`);
+    });
+    for (let col = 0; col < COLUMNS; col++) {
+        const values = ticket.map(row => row[col]).filter(n => n !== null);
+        if (values.length === 0) errors.push(`Column ${col} is empty.`);
+        values.forEach(n => {
+            if (!Number.isInteger(n) || n < COLUMN_RANGES[col].min || n > COLUMN_RANGES[col].max) errors.push(`${n} does not belong in column ${col}.`);
+            if (seen.has(n)) errors.push(`${n} appears more than once.`);
+            seen.add(n);
+        });
+        if (values.some((n, i) => i > 0 && n <= values[i - 1])) errors.push(`Column ${col} is not in ascending order.`);
+    }
+    if (seen.size !== NUMBERS_PER_TICKET) errors.push(`Ticket has ${seen.size} numbers, expected ${NUMBERS_PER_TICKET}.`);
+    return errors;
+}
+
+function validateStrip(strip) {
+    if (!Array.isArray(strip) || strip.length !== STRIP_SIZE) return [`Strip must have ${STRIP_SIZE} tickets.`];
+    const errors = [];
+    strip.forEach((ticket, t) => validateTicket(ticket).forEach(e => errors.push(`Ticket ${t + 1}: ${e}`)));
+    const all = strip.flat(2).filter(n => n !== null).sort((a, b) => a - b);
+    if (all.length !== 90 || all.some((n, i) => n !== i + 1)) errors.push('Strip does not cover 1-90 exactly once.');
+    return errors;
+}
+
+module.exports = { STRIP_SIZE, createSeededRandom, generateSeed, generateTambolaTicket, generateTicketStrip, validateTicket, validateStrip };